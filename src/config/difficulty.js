@@ -0,0 +1,111 @@
+/**
+ * Difficulty profiles for LockBlock rooms
+ * Each profile is tied to a deposit tier: a room can only be created with
+ * an entry deposit inside the range of its difficulty.
+ */
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * @typedef {Object} DifficultyProfile
+ * @property {number} chunkCount - Number of chunks in a run
+ * @property {number} lives - Starting lives
+ * @property {number} obstacleDensity - Chance (0-1) that a generated feature is an obstacle
+ * @property {number} enemySpeed - Enemy patrol speed in pixels per tick
+ * @property {number} scoreMultiplier - Multiplier applied to every score award
+ * @property {number|null} runTimeLimit - Time limit for the whole run in ms, or null for untimed runs
+ * @property {number|null} chunkTimeLimit - Time limit per chunk in ms, or null for no chunk limit
+ * @property {string} defaultDeposit - Entry deposit used when the client does not send one
+ * @property {string} minDeposit - Lowest entry deposit allowed, in USDC
+ * @property {string|null} maxDeposit - Highest entry deposit allowed, or null for no limit
+ */
+
+/** @type {Object<string, DifficultyProfile>} */
+export const DIFFICULTY_PROFILES = {
+  easy: {
+    chunkCount: 2,
+    lives: 5,
+    obstacleDensity: 0.25,
+    enemySpeed: 1,
+    scoreMultiplier: 1,
+    runTimeLimit: null,
+    chunkTimeLimit: null,
+    defaultDeposit: '0.01',
+    minDeposit: '0',
+    maxDeposit: '0.01'
+  },
+  normal: {
+    chunkCount: 3,
+    lives: 3,
+    obstacleDensity: 0.4,
+    enemySpeed: 1,
+    scoreMultiplier: 1.5,
+    runTimeLimit: 300000,
+    chunkTimeLimit: null,
+    defaultDeposit: '0.01',
+    minDeposit: '0.01',
+    maxDeposit: '0.05'
+  },
+  hard: {
+    chunkCount: 4,
+    lives: 3,
+    obstacleDensity: 0.55,
+    enemySpeed: 2,
+    scoreMultiplier: 2,
+    runTimeLimit: 240000,
+    chunkTimeLimit: 90000,
+    defaultDeposit: '0.05',
+    minDeposit: '0.05',
+    maxDeposit: '0.25'
+  },
+  insane: {
+    chunkCount: 5,
+    lives: 1,
+    obstacleDensity: 0.7,
+    enemySpeed: 3,
+    scoreMultiplier: 3,
+    runTimeLimit: 180000,
+    chunkTimeLimit: 60000,
+    defaultDeposit: '0.25',
+    minDeposit: '0.25',
+    maxDeposit: null
+  }
+};
+
+/**
+ * Checks whether a difficulty name is known
+ * @param {string} difficulty - Difficulty name
+ * @returns {boolean} True if a profile exists for the difficulty
+ */
+export function isValidDifficulty(difficulty) {
+  return typeof difficulty === 'string'
+    && Object.prototype.hasOwnProperty.call(DIFFICULTY_PROFILES, difficulty);
+}
+
+/**
+ * Gets the profile for a difficulty
+ * @param {string} difficulty - Difficulty name
+ * @returns {DifficultyProfile} Difficulty profile
+ */
+export function getDifficultyProfile(difficulty) {
+  if (!isValidDifficulty(difficulty)) {
+    throw new Error(`Unknown difficulty: ${difficulty}`);
+  }
+  return DIFFICULTY_PROFILES[difficulty];
+}
+
+/**
+ * Checks whether an entry deposit falls inside a difficulty's deposit tier
+ * @param {string} difficulty - Difficulty name
+ * @param {string} entryDeposit - Entry deposit in USDC
+ * @returns {boolean} True if the deposit is allowed for the difficulty
+ */
+export function isDepositAllowed(difficulty, entryDeposit) {
+  const { minDeposit, maxDeposit } = getDifficultyProfile(difficulty);
+  const deposit = parseFloat(entryDeposit);
+
+  if (Number.isNaN(deposit) || deposit < parseFloat(minDeposit)) {
+    return false;
+  }
+  return maxDeposit === null || deposit <= parseFloat(maxDeposit);
+}
@@ -0,0 +1,37 @@
+/**
+ * Power-up definitions for LockBlock
+ * Durations are in simulation ticks, so effects run out the same way on
+ * every replay of a game.
+ */
+
+/**
+ * @typedef {Object} PowerUpDefinition
+ * @property {number} duration - Ticks the effect stays active after pickup
+ * @property {string} description - What the effect does
+ * @property {number} [multiplier] - Score multiplier while active
+ * @property {number} [timeScale] - Speed factor applied to enemies and moving platforms while active
+ */
+
+/** @type {Object<string, PowerUpDefinition>} */
+export const POWER_UPS = {
+  shield: {
+    duration: 900,
+    description: 'Absorbs the next life loss'
+  },
+  double_jump: {
+    duration: 450,
+    description: 'Allows one extra jump while airborne'
+  },
+  score_multiplier: {
+    duration: 450,
+    multiplier: 2,
+    description: 'Doubles all points scored'
+  },
+  slow_time: {
+    duration: 300,
+    timeScale: 0.5,
+    description: 'Enemies and moving platforms move at half speed'
+  }
+};
+
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
@@ -0,0 +1,38 @@
+/**
+ * Scoring rules for LockBlock
+ * All point values are base points: the difficulty's scoreMultiplier and an
+ * active score_multiplier power-up are applied on top of them.
+ */
+
+/**
+ * @typedef {Object} ScoringRules
+ * @property {Object<string, number>} collectibles - Points for each collectible type
+ * @property {Object} combo - Combo rules for consecutive pickups
+ * @property {number} combo.windowTicks - Max ticks between pickups to keep the combo going
+ * @property {number} combo.step - Extra multiplier added by each pickup in the combo
+ * @property {number} combo.maxMultiplier - Highest combo multiplier
+ * @property {number} chunkCompleted - Points for completing a chunk
+ * @property {number} noDamageChunk - Extra points for completing a chunk without being hit
+ * @property {number} timeBonusPerSecond - Points per full second left on the run clock of a won timed run
+ */
+
+/** @type {ScoringRules} */
+export const SCORING_RULES = {
+  collectibles: {
+    coin: 10,
+    gem: 20,
+    treasure: 50,
+    powerup: 10
+  },
+  combo: {
+    windowTicks: 90,
+    step: 0.5,
+    maxMultiplier: 3
+  },
+  chunkCompleted: 100,
+  noDamageChunk: 50,
+  timeBonusPerSecond: 5
+};
+
+// Categories of the per-game score breakdown
+export const SCORE_CATEGORIES = ['collectibles', 'combos', 'chunks', 'noDamage', 'timeBonus'];
@@ -8,6 +8,15 @@ import logger from '../utils/logger.js';
 // Load environment variables
 dotenv.config();
 
+// How long (ms) a disconnected player's seat is held in a running game
+export const RECONNECT_GRACE_PERIOD = Number(process.env.RECONNECT_GRACE_MS) || 30000;
+
+// How long (ms) a sign-in challenge can be answered
+export const AUTH_CHALLENGE_TTL = Number(process.env.AUTH_CHALLENGE_TTL_MS) || 300000;
+
+// How long (ms) a session token can be used to resume a sign-in
+export const SESSION_TTL = Number(process.env.SESSION_TTL_MS) || 3600000;
+
 /**
  * Creates a new WebSocket server
  * @returns {WebSocketServer} The WebSocket server instance
@@ -27,12 +36,14 @@ export function createWebSocketServer() {
  * @param {WebSocket} ws - WebSocket connection
  * @param {string} code - Error code
  * @param {string} msg - Error message
+ * @param {Object} [details] - Extra fields to include in the message
  */
-export function sendError(ws, code, msg) {
+export function sendError(ws, code, msg, details = {}) {
   ws.send(JSON.stringify({
     type: 'error',
     code,
-    msg
+    msg,
+    ...details
   }));
 }
 
@@ -0,0 +1,51 @@
+/**
+ * Operator (admin) WebSocket message handlers
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { validateAdminPayload } from '../utils/validators.js';
+import { loadLevelPacks, listContentVersions } from '../services/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Checks an admin token against ADMIN_TOKEN in constant time
+ * @param {string} token - Token sent by the client
+ * @returns {boolean} True if admin access is enabled and the token matches
+ */
+function isAdminToken(token) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return false;
+  }
+
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && timingSafeEqual(given, wanted);
+}
+
+/**
+ * Handles an operator request to publish the level content on disk as a
+ * new content version. Only rooms created afterwards use it.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context
+ */
+export async function handlePublishContent(ws, payload, { sendError }) {
+  const validation = validateAdminPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  if (!isAdminToken(payload.token)) {
+    logger.warn('Rejected admin request with an invalid token');
+    return sendError(ws, 'NOT_AUTHORIZED', 'Invalid admin token');
+  }
+
+  const result = await loadLevelPacks(undefined, 'admin');
+
+  ws.send(JSON.stringify({
+    type: 'admin:contentPublished',
+    ...result,
+    versions: listContentVersions()
+  }));
+}
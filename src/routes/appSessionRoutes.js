@@ -0,0 +1,187 @@
+/**
+ * App session WebSocket message handlers for the legacy signing flow, where
+ * both players sign the app session before the host starts the game
+ */
+
+import {
+  getGameMode,
+  addAppSessionSignature,
+  createAppSessionWithSignatures,
+  getPendingAppSessionMessage,
+  refundAppSession
+} from '../services/index.js';
+import { watchGameOver } from './gameRoutes.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handles app session signature submission. Once the guest signed, the host
+ * is asked for their signature.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handleAppSessionSignature(ws, payload, { roomManager, connections, sendError }) {
+  if (!payload || typeof payload !== 'object') {
+    return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
+  }
+
+  const { roomId, signature } = payload;
+
+  if (!roomId || !signature) {
+    return sendError(ws, 'INVALID_PAYLOAD', 'Room ID and signature are required');
+  }
+
+  // Find the player submitting the signature
+  let playerEoa = null;
+  for (const [eoa, connection] of connections.entries()) {
+    if (connection.ws === ws) {
+      playerEoa = eoa;
+      break;
+    }
+  }
+
+  if (!playerEoa) {
+    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
+  }
+
+  try {
+    const allSignaturesCollected = await addAppSessionSignature(roomId, playerEoa, signature);
+    
+    logger.nitro(`Signature added for ${playerEoa} in room ${roomId}`);
+    
+    // Send confirmation to the signing player
+    ws.send(JSON.stringify({
+      type: 'appSession:signatureConfirmed',
+      roomId
+    }));
+
+    // Check if this was participant B (guest) signing, and if so, request signature from participant A (host)
+    const room = roomManager.rooms.get(roomId);
+    const [host, guest] = room ? room.players : [];
+    if (room && guest && playerEoa === guest && !allSignaturesCollected) {
+      logger.nitro(`Participant B signed, now requesting signature from participant A (host)`);
+      
+      // Send signature request to participant A (host)
+      const hostConnection = room.connections.get(host);
+      if (hostConnection && hostConnection.ws.readyState === 1) {
+        // Get the existing pending app session message (don't generate a new one!)
+        const appSessionMessage = getPendingAppSessionMessage(roomId);
+        
+        if (!appSessionMessage) {
+          logger.error(`No pending app session found for room ${roomId}`);
+          return;
+        }
+        
+        hostConnection.ws.send(JSON.stringify({
+          type: 'appSession:startGameRequest',
+          roomId,
+          appSessionData: appSessionMessage.appSessionData,
+          appDefinition: appSessionMessage.appDefinition,
+          participants: appSessionMessage.participants,
+          requestToSign: appSessionMessage.requestToSign
+        }));
+        
+        logger.nitro(`Sent start game request to host ${host}`);
+      } else {
+        logger.error(`Host connection not found or not ready for room ${roomId}`);
+      }
+    }
+    
+    // If all signatures are collected, create the app session (this happens after participant A signs)
+    if (allSignaturesCollected) {
+      logger.nitro(`All signatures collected for room ${roomId}, creating app session`);
+      // The app session creation will be handled by the handleAppSessionStartGame function
+    }
+    
+  } catch (error) {
+    logger.error(`Error handling app session signature for room ${roomId}:`, error);
+    return sendError(ws, error.code || 'SIGNATURE_ERROR', error.message);
+  }
+}
+
+/**
+ * Handles app session start game request (with host signature): creates
+ * the app session with every signature and starts the game
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handleAppSessionStartGame(ws, payload, { roomManager, connections, sendError }) {
+  if (!payload || typeof payload !== 'object') {
+    return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
+  }
+
+  const { roomId, signature } = payload;
+
+  if (!roomId || !signature) {
+    return sendError(ws, 'INVALID_PAYLOAD', 'Room ID and signature are required');
+  }
+
+  // Find the player submitting the signature (should be host)
+  let playerEoa = null;
+  for (const [eoa, connection] of connections.entries()) {
+    if (connection.ws === ws) {
+      playerEoa = eoa;
+      break;
+    }
+  }
+
+  if (!playerEoa) {
+    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
+  }
+
+  // Get the room
+  const room = roomManager.rooms.get(roomId);
+  if (!room) {
+    return sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+  }
+
+  // Only the host can start the game
+  if (room.players[0] !== playerEoa) {
+    return sendError(ws, 'NOT_AUTHORIZED', 'Only the host can start the game');
+  }
+
+  try {
+    // Add the host's signature
+    const allSignaturesCollected = await addAppSessionSignature(roomId, playerEoa, signature);
+    
+    if (!allSignaturesCollected) {
+      return sendError(ws, 'SIGNATURES_INCOMPLETE', 'Not all signatures collected');
+    }
+
+    logger.nitro(`Host signature added for room ${roomId}, creating app session`);
+    
+    // Create the app session with all collected signatures
+    const appId = await createAppSessionWithSignatures(roomId);
+    
+    // Store the app ID in the room object
+    room.appId = appId;
+
+    // A player may have left while the session was being created
+    if (!roomManager.rooms.has(roomId) || room.players.length < getGameMode(room.mode).minPlayers) {
+      await refundAppSession(roomId);
+      return sendError(ws, 'ROOM_NOT_READY', 'A player left before the game started');
+    }
+    
+    // Initialize game state
+    if (!room.gameState) {
+      room.gameState = getGameMode(room.mode).createGame(room, Date.now());
+    }
+    room.gameStarted = true;
+    watchGameOver(roomId, roomManager);
+
+    // Broadcast game started
+    roomManager.broadcastToRoom(
+      roomId,
+      'game:started',
+      { roomId, mode: room.mode, players: room.players, appId }
+    );
+
+    // Send the initial game state as a full snapshot
+    roomManager.broadcastGameState(roomId, { snapshot: true });
+    
+  } catch (error) {
+    logger.error(`Error handling app session start game for room ${roomId}:`, error);
+    return sendError(ws, error.code || 'START_GAME_ERROR', error.message);
+  }
+}
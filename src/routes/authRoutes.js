@@ -0,0 +1,129 @@
+/**
+ * Wallet sign-in WebSocket message handlers
+ */
+
+import {
+  validateAuthChallengePayload,
+  validateAuthVerifyPayload,
+  validateAuthResumePayload
+} from '../utils/validators.js';
+import {
+  createAuthChallenge,
+  verifyAuthChallenge,
+  resumeSession,
+  getAuthenticatedAddress,
+  clearAuthentication
+} from '../services/index.js';
+import { handlePlayerDisconnect } from './gameRoutes.js';
+
+/**
+ * Handles a request for a sign-in challenge
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context
+ */
+export async function handleAuthChallenge(ws, payload, { sendError }) {
+  const validation = validateAuthChallengePayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  // A connection keeps the address it signed in with
+  if (getAuthenticatedAddress(ws)) {
+    return sendError(ws, 'ALREADY_AUTHENTICATED', 'Connection is already signed in');
+  }
+
+  const challenge = createAuthChallenge(ws, payload.eoa);
+
+  ws.send(JSON.stringify({
+    type: 'auth:challenge',
+    eoa: challenge.eoa,
+    nonce: challenge.nonce,
+    message: challenge.message,
+    expiresAt: challenge.expiresAt
+  }));
+}
+
+/**
+ * Handles a signed sign-in challenge and binds the signer to the connection
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context
+ */
+export async function handleAuthVerify(ws, payload, { sendError }) {
+  const validation = validateAuthVerifyPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const result = verifyAuthChallenge(ws, payload.signature);
+  if (!result.success) {
+    return sendError(ws, 'AUTH_FAILED', result.error);
+  }
+
+  ws.send(JSON.stringify({
+    type: 'auth:success',
+    eoa: result.eoa,
+    sessionToken: result.sessionToken,
+    expiresAt: result.expiresAt
+  }));
+}
+
+/**
+ * Handles a request to sign a new connection in with a session token. The
+ * token is used up; the reply carries its replacement. The connection that
+ * held the session is signed out.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handleAuthResume(ws, payload, context) {
+  const { sendError } = context;
+  const validation = validateAuthResumePayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  if (getAuthenticatedAddress(ws)) {
+    return sendError(ws, 'ALREADY_AUTHENTICATED', 'Connection is already signed in');
+  }
+
+  const result = resumeSession(ws, payload.sessionToken);
+  if (!result.success) {
+    return sendError(ws, 'AUTH_FAILED', result.error);
+  }
+
+  // The connection that held the session is signed out; its seat is held
+  // so this connection can resume the room
+  if (result.previousWs) {
+    await handlePlayerDisconnect(result.previousWs, context);
+    if (result.previousWs.readyState === 1) { // WebSocket.OPEN
+      result.previousWs.send(JSON.stringify({ type: 'auth:loggedOut', eoa: result.eoa }));
+    }
+  }
+
+  ws.send(JSON.stringify({
+    type: 'auth:success',
+    eoa: result.eoa,
+    sessionToken: result.sessionToken,
+    expiresAt: result.expiresAt
+  }));
+}
+
+/**
+ * Handles a request to sign out. The session token is revoked, and the
+ * player is taken out of their room as if the connection had closed.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handleAuthLogout(ws, payload, context) {
+  const eoa = getAuthenticatedAddress(ws);
+  await handlePlayerDisconnect(ws, context);
+  clearAuthentication(ws);
+
+  ws.send(JSON.stringify({
+    type: 'auth:loggedOut',
+    eoa
+  }));
+}
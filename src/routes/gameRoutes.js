@@ -1,22 +1,27 @@
 /**
- * LockBlock game-related WebSocket message handlers
+ * Game-related WebSocket message handlers
+ * Game specifics (rules, validation, settlement) come from the room's game mode.
  */
 
-import { validateActionPayload } from '../utils/validators.js';
+import { validateActionPayload, validateResyncPayload } from '../utils/validators.js';
 import {
-  formatGameState,
-  formatGameOverMessage,
-  createGame,
+  getGameMode,
+  getLockedAllocations,
   createAppSession,
-  closeAppSession,
+  closeAppSessionWithRetry,
+  refundAppSession,
+  submitAppState,
+  discardPendingAppSession,
   hasAppSession,
   generateAppSessionMessage,
   addAppSessionSignature,
   createAppSessionWithSignatures,
   getRewardPool,
   addToRewardPool,
-  withdrawFromRewardPool
+  withdrawFromRewardPool,
+  computeActionLogRoot
 } from '../services/index.js';
+import { ethers } from 'ethers';
 import logger from '../utils/logger.js';
 
 /**
@@ -55,9 +60,9 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
     return sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
   }
 
-  // Only the player in the room can start the game
-  if (room.player.eoa !== playerEoa) {
-    return sendError(ws, 'NOT_AUTHORIZED', 'Only the room player can start the game');
+  // Only the host (first seated player) can start the game
+  if (room.players[0] !== playerEoa) {
+    return sendError(ws, 'NOT_AUTHORIZED', 'Only the room host can start the game');
   }
 
   // Check if game already started
@@ -65,32 +70,48 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
     return sendError(ws, 'GAME_ALREADY_STARTED', 'Game has already started');
   }
 
+  if (!room.isReady) {
+    return sendError(ws, 'ROOM_NOT_READY', 'Waiting for more players to join');
+  }
+
   // Get current reward pool for game initialization
   const currentPool = getRewardPool();
 
   // Initialize game state if not already done
   if (!room.gameState) {
-    room.gameState = createGame(
-      room.player.eoa,
-      room.player.entryDeposit,
-      currentPool.totalAmount
-    );
+    room.gameState = getGameMode(room.mode).createGame(room, Date.now());
   }
 
   // Mark game as started
   room.gameStarted = true;
 
+  watchGameOver(roomId, roomManager);
+
   // Create an app session for this game if not already created
   if (!hasAppSession(roomId)) {
     try {
       logger.nitro(`Creating app session for room ${roomId}`);
-      // For single player, we create session with player and server
-      const serverAddress = process.env.DEFAULT_GUEST_ADDRESS; // Use server as second participant
-      const appId = await createAppSession(roomId, room.player.eoa, serverAddress);
+      // Single-player modes use the server as the second participant
+      const [participantA, participantB = process.env.DEFAULT_GUEST_ADDRESS] = room.players;
+      const appId = await createAppSession(roomId, participantA, participantB, {
+        allocations: getLockedAllocations(room),
+        asset: room.asset
+      });
       logger.nitro(`App session created with ID ${appId}`);
 
       // Store the app ID in the room object
       room.appId = appId;
+
+      // A game that ended while the session was being created was settled
+      // without it, so close it with the game's allocations now
+      const mode = getGameMode(room.mode);
+      const end = mode.checkEnd(room.gameState);
+      if (end.isGameOver) {
+        await closeAppSessionWithRetry(roomId, mode.computeSettlement(room, room.gameState).allocations, {
+          ...describeAppState(roomId, room),
+          result: { gameResult: end.gameResult, winner: end.winner }
+        });
+      }
     } catch (error) {
       logger.error(`Failed to create app session for room ${roomId}:`, error);
       // Continue with the game even if app session creation fails
@@ -103,18 +124,16 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
     'game:started',
     {
       roomId,
-      playerEoa: room.player.eoa,
-      entryDeposit: room.player.entryDeposit,
+      mode: room.mode,
+      playerEoa: room.players[0],
+      players: room.players,
+      entryDeposit: room.entryDeposit,
       currentPool: currentPool.totalAmount
     }
   );
 
-  // Send the initial game state
-  roomManager.broadcastToRoom(
-    roomId,
-    'room:state',
-    formatGameState(room.gameState, roomId)
-  );
+  // Send the initial game state as a full snapshot
+  roomManager.broadcastGameState(roomId, { snapshot: true });
 }
 
 /**
@@ -130,7 +149,16 @@ export async function handleAction(ws, payload, { roomManager, connections, send
     return sendError(ws, 'INVALID_PAYLOAD', validation.error);
   }
 
-  const { roomId, action } = payload;
+  const { roomId, seq, action } = payload;
+
+  // The action itself is validated by the room's game mode
+  const room = roomManager.rooms.get(roomId);
+  if (room) {
+    const actionValidation = getGameMode(room.mode).validateAction(action);
+    if (!actionValidation.success) {
+      return sendError(ws, 'INVALID_PAYLOAD', actionValidation.error);
+    }
+  }
 
   // Find the player making the action
   let playerEoa = null;
@@ -146,96 +174,220 @@ export async function handleAction(ws, payload, { roomManager, connections, send
   }
 
   // Process the action
-  const result = roomManager.processPlayerAction(roomId, action, playerEoa);
+  const result = roomManager.processPlayerAction(roomId, action, playerEoa, seq);
   if (!result.success) {
-    return sendError(ws, 'ACTION_FAILED', result.error);
+    return sendError(ws, 'ACTION_FAILED', result.error, { seq, lastProcessedSeq: result.lastProcessedSeq });
+  }
+
+  // Broadcast the changes as a delta, acknowledging the input that produced them
+  roomManager.broadcastGameState(roomId);
+
+  // Handle game over condition; the close carries the final state
+  if (result.isGameOver) {
+    await settleGameOver(roomId, result, playerEoa, roomManager);
+  } else if (hasAppSession(roomId)) {
+    submitChunkProgress(roomId, roomManager.rooms.get(roomId));
+  }
+}
+
+/**
+ * Records the game's progress in the room's app session when the last
+ * action completed a chunk. Submission runs in the background so play is
+ * never held up by the clearnode.
+ * @param {string} roomId - Room ID
+ * @param {Object} room - Room the action was applied in
+ */
+function submitChunkProgress(roomId, room) {
+  const lastEntry = room.actionLog[room.actionLog.length - 1];
+  if (!lastEntry?.events.some(event => event.type === 'chunk_completed')) {
+    return;
+  }
+
+  submitAppState(roomId, describeAppState(roomId, room));
+}
+
+/**
+ * Describes the room's game for an app state update: its progress, a hash
+ * of the game state and the Merkle root of the action log so far
+ * @param {string} roomId - Room ID
+ * @param {Object} room - Room
+ * @returns {Object} App state (AppStateUpdate without version)
+ */
+function describeAppState(roomId, room) {
+  return {
+    roomId,
+    mode: room.mode,
+    progress: getGameMode(room.mode).summarize(room.gameState),
+    stateHash: ethers.id(JSON.stringify(room.gameState)),
+    actionLogRoot: computeActionLogRoot(room.actionLog),
+    actionCount: room.actionLog.length,
+    timestamp: room.actionLog.at(-1)?.timestamp ?? Date.now()
+  };
+}
+
+/**
+ * Settles the room's game when the server ends it on its own: a time limit
+ * expires or a disconnected player does not come back, even if the clients
+ * go silent
+ * @param {string} roomId - Room ID
+ * @param {Object} roomManager - Room manager instance
+ */
+export function watchGameOver(roomId, roomManager) {
+  roomManager.watchGame(roomId, async (result) => {
+    roomManager.broadcastGameState(roomId);
+    await settleGameOver(roomId, result, result.abandonedBy || result.winner, roomManager);
+  });
+}
+
+/**
+ * Settles a finished game with the room's game mode: applies its reward pool
+ * change, announces the result, closes the app session with its allocations
+ * and schedules the room for cleanup
+ * @param {string} roomId - Room ID
+ * @param {Object} result - Action result that ended the game
+ * @param {string} playerEoa - Ethereum address of the player whose action ended the game
+ * @param {Object} roomManager - Room manager instance
+ */
+async function settleGameOver(roomId, result, playerEoa, roomManager) {
+  const room = roomManager.rooms.get(roomId);
+  const mode = getGameMode(room.mode);
+  const gameOverMessage = mode.formatGameOver(result.gameState);
+  const settlement = mode.computeSettlement(room, result.gameState);
+
+  // Handle reward pool transactions
+  const { rewardPool } = settlement;
+  try {
+    if (rewardPool?.action === 'withdraw') {
+      // Player wins - withdraw from reward pool
+      const withdrawResult = withdrawFromRewardPool(rewardPool.eoa);
+      if (withdrawResult.success) {
+        gameOverMessage.rewardAmount = withdrawResult.withdrawnAmount;
+        logger.system(`Player ${rewardPool.eoa} won ${withdrawResult.withdrawnAmount} USDC from reward pool`);
+      }
+    } else if (rewardPool?.action === 'contribute') {
+      // Player loses - add entry deposit to reward pool
+      const addResult = addToRewardPool(rewardPool.amount, rewardPool.eoa, { abandoned: Boolean(result.abandonedBy) });
+      if (addResult.success) {
+        gameOverMessage.poolContribution = rewardPool.amount;
+        logger.system(`Player ${rewardPool.eoa} contributed ${rewardPool.amount} USDC to reward pool`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error handling reward pool transaction for player ${playerEoa}:`, error);
+  }
+
+  if (result.abandonedBy) {
+    gameOverMessage.abandonedBy = result.abandonedBy;
+    logger.game(`Room ${roomId} settled as abandoned by ${result.abandonedBy}`);
   }
 
-  // Broadcast updated game state
   roomManager.broadcastToRoom(
     roomId,
-    'room:state',
-    formatGameState(result.gameState, roomId)
+    'game:over',
+    gameOverMessage
   );
 
-  // Handle game over condition
-  if (result.isGameOver) {
-    const gameOverMessage = formatGameOverMessage(result.gameState);
+  // Close the app session if one was created; failed closes keep being
+  // retried in the background
+  try {
+    if (hasAppSession(roomId)) {
+      logger.nitro(`Closing app session ${room.appId || 'from storage'} for room ${roomId}`);
 
-    // Handle reward pool transactions
-    try {
-      if (result.gameResult === 'win') {
-        // Player wins - withdraw from reward pool
-        const withdrawResult = withdrawFromRewardPool(playerEoa);
-        if (withdrawResult.success) {
-          gameOverMessage.rewardAmount = withdrawResult.withdrawnAmount;
-          logger.system(`Player ${playerEoa} won ${withdrawResult.withdrawnAmount} USDC from reward pool`);
-        }
-      } else if (result.gameResult === 'lose') {
-        // Player loses - add entry deposit to reward pool
-        const room = roomManager.rooms.get(roomId);
-        const addResult = addToRewardPool(room.player.entryDeposit, playerEoa);
-        if (addResult.success) {
-          gameOverMessage.poolContribution = room.player.entryDeposit;
-          logger.system(`Player ${playerEoa} contributed ${room.player.entryDeposit} USDC to reward pool`);
-        }
+      const finalState = {
+        ...describeAppState(roomId, room),
+        result: { gameResult: result.gameResult, winner: result.winner ?? null, abandonedBy: result.abandonedBy ?? null }
+      };
+      if (await closeAppSessionWithRetry(roomId, settlement.allocations, finalState)) {
+        logger.nitro(`App session closed for room ${roomId} with allocations: ${settlement.allocations}`);
       }
-    } catch (error) {
-      logger.error(`Error handling reward pool transaction for player ${playerEoa}:`, error);
     }
+  } catch (error) {
+    logger.error(`Failed to close app session for room ${roomId}:`, error);
+    // Continue with room cleanup even if app session closure fails
+  }
 
-    roomManager.broadcastToRoom(
-      roomId,
-      'game:over',
-      gameOverMessage
-    );
+  // Clean up the room after a short delay
+  setTimeout(() => {
+    roomManager.closeRoom(roomId);
+  }, 5000);
+}
 
-    // Close the app session if one was created
-    try {
-      const room = roomManager.rooms.get(roomId);
-      
-      // First check if the room has an appId directly
-      if (room && room.appId) {
-        logger.nitro(`Closing app session with ID ${room.appId} for room ${roomId}`);
-
-        // Calculate allocations based on game result (single player vs server)
-        let finalAllocations;
-        if (result.gameResult === 'win') {
-          // Player wins - gets the entry deposit back plus any reward
-          finalAllocations = [room.player.entryDeposit, '0', '0']; // Player gets deposit back
-        } else {
-          // Player loses - server/pool gets the entry deposit
-          finalAllocations = ['0', room.player.entryDeposit, '0']; // Server gets deposit for pool
-        }
-
-        await closeAppSession(roomId, finalAllocations);
-        logger.nitro(`App session closed for room ${roomId} with allocations: ${finalAllocations}`);
-      }
-      // Otherwise check the app sessions storage
-      else if (hasAppSession(roomId)) {
-        logger.nitro(`Closing app session from storage for room ${roomId}`);
-
-        // Calculate allocations based on game result (single player vs server)
-        let finalAllocations;
-        if (result.gameResult === 'win') {
-          // Player wins - gets the entry deposit back plus any reward
-          finalAllocations = [room.player.entryDeposit, '0', '0']; // Player gets deposit back
-        } else {
-          // Player loses - server/pool gets the entry deposit
-          finalAllocations = ['0', room.player.entryDeposit, '0']; // Server gets deposit for pool
-        }
-
-        await closeAppSession(roomId, finalAllocations);
-        logger.nitro(`App session closed for room ${roomId} with allocations: ${finalAllocations}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to close app session for room ${roomId}:`, error);
-      // Continue with room cleanup even if app session closure fails
+/**
+ * Handles a client's connection closing. Players of a running game keep
+ * their seat for the reconnect grace period (the game is settled as
+ * abandoned if they don't return); players leaving a room before its game
+ * started get the deposits of an already created app session refunded.
+ * @param {WebSocket} ws - WebSocket connection that closed
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handlePlayerDisconnect(ws, { roomManager, connections }) {
+  const entry = [...connections.entries()].find(([, connection]) => connection.ws === ws);
+  if (!entry) return;
+
+  const [eoa, { roomId }] = entry;
+  connections.delete(eoa);
+
+  const room = roomManager.rooms.get(roomId);
+  const result = roomManager.disconnectPlayer(eoa);
+  if (!result.success) return;
+
+  if (result.held) {
+    roomManager.broadcastToRoom(result.roomId, 'room:playerDisconnected', {
+      roomId: result.roomId,
+      eoa,
+      gracePeriod: result.gracePeriod,
+      clock: result.clock
+    });
+    return;
+  }
+
+  // Seats are only freed before the game starts; afterwards they stay taken
+  if (room) {
+    roomManager.broadcastToRoom(result.roomId, 'room:playerLeft', {
+      roomId: result.roomId,
+      eoa,
+      players: room.players,
+      isReady: room.isReady
+    });
+  }
+
+  if (room && !room.gameStarted) {
+    // Remaining players sign a new session once the seat is taken again
+    discardPendingAppSession(result.roomId);
+    if (hasAppSession(result.roomId)) {
+      logger.nitro(`Player ${eoa} left room ${result.roomId} before the game started`);
+      await refundAppSession(result.roomId);
     }
+  }
+}
 
-    // Clean up the room after a short delay
-    setTimeout(() => {
-      roomManager.closeRoom(roomId);
-    }, 5000);
+/**
+ * Handles a client request for a full state snapshot
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handleResync(ws, payload, { roomManager, connections, sendError }) {
+  const validation = validateResyncPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
   }
-}
\ No newline at end of file
+
+  const { roomId } = payload;
+
+  // Only connections attached to the room (players or spectators) may resync
+  const room = roomManager.rooms.get(roomId);
+  if (!room) {
+    return sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+  }
+
+  const isInRoom = room.spectators.has(ws)
+    || [...room.connections.values()].some(connection => connection.ws === ws);
+  if (!isInRoom) {
+    return sendError(ws, 'NOT_AUTHORIZED', 'Not connected to this room');
+  }
+
+  if (!roomManager.sendStateSnapshot(roomId, ws)) {
+    return sendError(ws, 'GAME_NOT_STARTED', 'Game has not started');
+  }
+}
@@ -2,8 +2,21 @@
  * Room-related WebSocket message handlers
  */
 
-import { validateJoinRoomPayload } from '../utils/validators.js';
-import { formatGameState, generateAppSessionMessage } from '../services/index.js';
+import {
+  validateJoinRoomPayload,
+  validateSpectateRoomPayload,
+  validateResumeRoomPayload
+} from '../utils/validators.js';
+import { ethers } from 'ethers';
+import {
+  generateAppSessionMessage,
+  getAuthenticatedAddress,
+  listLevelPacks,
+  getGameMode,
+  getLockedAllocations,
+  listGameModes,
+  DEFAULT_GAME_MODE
+} from '../services/index.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -19,7 +32,13 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
     return sendError(ws, 'INVALID_PAYLOAD', validation.error);
   }
 
-  const { roomId, eoa } = payload;
+  // Players always join as the address the connection signed in with
+  const eoa = getAuthenticatedAddress(ws);
+  if (ethers.getAddress(payload.eoa) !== eoa) {
+    return sendError(ws, 'EOA_MISMATCH', 'Address does not match the signed-in address');
+  }
+
+  const { roomId } = payload;
   console.log(`Processing ${validation.isCreating ? 'CREATE' : 'JOIN'} request for EOA: ${eoa}, roomId: ${roomId || 'NEW'}`);
 
   // Check if address is already connected
@@ -29,30 +48,40 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
 
   let result;
   if (validation.isCreating) {
-    // Creating a new room for LockBlock (single player)
-    const entryDeposit = payload.entryDeposit || '0.01'; // Default entry deposit
-    const difficulty = payload.difficulty || 'normal'; // Default difficulty
+    // Creating a new room; the game mode validates and fills in its settings
+    const modeId = payload.mode || DEFAULT_GAME_MODE;
+    const mode = getGameMode(modeId);
+    if (!mode) {
+      return sendError(ws, 'INVALID_PAYLOAD', `Unknown game mode: ${modeId}`);
+    }
 
-    const newRoomId = roomManager.createRoom(entryDeposit, difficulty);
-    console.log(`Created new LockBlock room with ID: ${newRoomId}, deposit: ${entryDeposit}, difficulty: ${difficulty}`);
+    const roomSettings = mode.createRoomSettings(payload);
+    if (!roomSettings.success) {
+      return sendError(ws, 'INVALID_PAYLOAD', roomSettings.error);
+    }
 
-    // Join the newly created room as the single player
+    const { entryDeposit, settings } = roomSettings;
+    const newRoomId = roomManager.createRoom({ mode: modeId, entryDeposit, settings });
+    console.log(`Created new ${mode.name} room with ID: ${newRoomId}, deposit: ${entryDeposit}, settings: ${JSON.stringify(settings)}`);
+
+    // Join the newly created room as its host
     result = roomManager.joinRoom(newRoomId, eoa, ws);
 
     if (result.success) {
-      console.log(`New LockBlock room created: ${newRoomId} for player: ${eoa}`);
+      console.log(`New ${mode.name} room created: ${newRoomId} for player: ${eoa}`);
 
       // Send room ID and game info to client
       ws.send(JSON.stringify({
         type: 'room:created',
         roomId: newRoomId,
+        mode: modeId,
         role: 'player',
         entryDeposit: result.entryDeposit,
         rewardInfo: result.rewardInfo
       }));
     }
   } else {
-    // Joining an existing room (for spectating or if we support multiple players later)
+    // Joining a free seat in an existing room
     result = roomManager.joinRoom(roomId, eoa, ws);
 
     if (result.success) {
@@ -67,44 +96,49 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
   // Store connection
   connections.set(eoa, { ws, roomId: result.roomId });
 
+  // The connection was spectating a room until it took this seat
+  if (result.spectatorsLeft) {
+    roomManager.broadcastToRoom(result.spectatorsLeft.roomId, 'room:spectators', result.spectatorsLeft);
+  }
+
   // Get room
   const room = roomManager.rooms.get(result.roomId);
 
-  // Send room state to all players
+  // Send a full room state snapshot to all players
   if (room.gameState) {
-    roomManager.broadcastToRoom(
-      result.roomId, 
-      'room:state', 
-      formatGameState(room.gameState, result.roomId)
-    );
+    roomManager.broadcastGameState(result.roomId, { snapshot: true });
   }
 
-  // Notify player that room is ready (single player - always ready when joined)
+  // Notify players once enough of them are seated
   if (result.isRoomReady) {
     roomManager.broadcastToRoom(result.roomId, 'room:ready', {
       roomId: result.roomId,
-      playerEoa: room.player.eoa,
-      entryDeposit: room.player.entryDeposit,
+      mode: room.mode,
+      playerEoa: room.players[0],
+      players: room.players,
+      entryDeposit: room.entryDeposit,
       rewardInfo: room.rewardInfo
     });
 
-    logger.nitro(`LockBlock room ${result.roomId} is ready for single player`);
-    logger.data(`Room player:`, { eoa: room.player.eoa, deposit: room.player.entryDeposit });
+    logger.nitro(`${room.mode} room ${result.roomId} is ready with ${room.players.length} player(s)`);
+    logger.data(`Room players:`, { players: room.players, deposit: room.entryDeposit });
 
-    // For single player, we can optionally generate app session message immediately
-    // or wait for the player to start the game
+    // Generate the app session message now rather than waiting for the game
+    // to start; single-player modes use the server as the second participant
     try {
-      const serverAddress = process.env.DEFAULT_GUEST_ADDRESS;
+      const [participantA, participantB = process.env.DEFAULT_GUEST_ADDRESS] = room.players;
       const appSessionMessage = await generateAppSessionMessage(
         result.roomId,
-        room.player.eoa,
-        serverAddress
+        participantA,
+        participantB,
+        { allocations: getLockedAllocations(room), asset: room.asset }
       );
 
-      logger.nitro(`Generated app session message for LockBlock room ${result.roomId}`);
+      logger.nitro(`Generated app session message for room ${result.roomId}`);
 
-      // Send the message to the player for signature
-      const playerConnection = room.connections.get(room.player.eoa);
+      // Ask the last player to join for a signature; in two-player rooms the
+      // host is asked next (see appSession:signature)
+      const playerConnection = room.connections.get(room.players[room.players.length - 1]);
       if (playerConnection && playerConnection.ws.readyState === 1) {
         playerConnection.ws.send(JSON.stringify({
           type: 'appSession:signatureRequest',
@@ -117,38 +151,124 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
       }
 
     } catch (error) {
-      logger.error(`Failed to generate app session message for LockBlock room ${result.roomId}:`, error);
+      logger.error(`Failed to generate app session message for room ${result.roomId}:`, error);
     }
   }
 }
 
+/**
+ * Handles a request to watch a room as a read-only spectator
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager
+ */
+export async function handleSpectateRoom(ws, payload, { roomManager, sendError }) {
+  const validation = validateSpectateRoomPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const result = roomManager.spectateRoom(payload.roomId, ws);
+  if (!result.success) {
+    return sendError(ws, 'SPECTATE_FAILED', result.error);
+  }
+
+  const room = roomManager.rooms.get(result.roomId);
+  logger.ws(`Spectator attached to room ${result.roomId} (${result.spectatorCount} watching)`);
+
+  ws.send(JSON.stringify({
+    type: 'room:spectating',
+    roomId: result.roomId,
+    mode: room.mode,
+    players: room.players,
+    gameStarted: room.gameStarted
+  }));
+
+  // Games already running are sent as a snapshot right away; otherwise the
+  // spectator gets the initial snapshot when the game starts
+  roomManager.sendStateSnapshot(result.roomId, ws);
+
+  roomManager.broadcastToRoom(result.roomId, 'room:spectators', {
+    roomId: result.roomId,
+    count: result.spectatorCount
+  });
+}
+
+/**
+ * Handles a request to take back a held seat after a disconnect
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and connections
+ */
+export async function handleResumeRoom(ws, payload, { roomManager, connections, sendError }) {
+  const validation = validateResumeRoomPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const eoa = getAuthenticatedAddress(ws);
+  if (ethers.getAddress(payload.eoa) !== eoa) {
+    return sendError(ws, 'EOA_MISMATCH', 'Address does not match the signed-in address');
+  }
+
+  const { roomId } = payload;
+  if (connections.has(eoa)) {
+    return sendError(ws, 'ALREADY_CONNECTED', 'Address already connected');
+  }
+
+  const result = roomManager.resumeRoom(roomId, eoa, ws);
+  if (!result.success) {
+    return sendError(ws, 'RESUME_FAILED', result.error);
+  }
+
+  connections.set(eoa, { ws, roomId });
+  const room = roomManager.rooms.get(roomId);
+  logger.ws(`Player ${eoa} resumed room ${roomId}`);
+
+  // The client drops input it sent after lastProcessedSeq and rebuilds from the snapshot
+  ws.send(JSON.stringify({
+    type: 'room:resumed',
+    roomId,
+    mode: room.mode,
+    role: result.role,
+    players: room.players,
+    lastProcessedSeq: result.lastProcessedSeq
+  }));
+  roomManager.sendStateSnapshot(roomId, ws);
+
+  roomManager.broadcastToRoom(roomId, 'room:playerReconnected', { roomId, eoa });
+}
+
 /**
  * Handles a request to get available rooms
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} context - Application context containing roomManager
  */
 export async function handleGetAvailableRooms(ws, { roomManager }) {
-  // For LockBlock, we might want to show spectatable games or create new rooms
-  // Since it's single-player, "available rooms" could mean rooms that can be spectated
+  // Rooms with free seats can be joined, rooms with a game in progress spectated
   const availableRooms = [];
 
   // Get current timestamp
   const now = Date.now();
 
-  // Iterate through all rooms and find spectatable ones
   for (const [roomId, room] of roomManager.rooms.entries()) {
-    // Room is spectatable if it has a player and game is ongoing
-    if (room.player.eoa && room.gameStarted && !room.gameState?.isGameOver) {
+    const mode = getGameMode(room.mode);
+    const hasFreeSeat = !room.gameStarted && room.players.length > 0 && room.players.length < mode.maxPlayers;
+    const isInProgress = room.gameStarted && room.gameState && !mode.checkEnd(room.gameState).isGameOver;
+
+    if (hasFreeSeat || isInProgress) {
       availableRooms.push({
         roomId,
-        playerAddress: room.player.eoa,
-        entryDeposit: room.player.entryDeposit,
-        difficulty: room.difficulty,
+        mode: room.mode,
+        playerAddress: room.players[0],
+        players: room.players,
+        seats: mode.maxPlayers,
+        entryDeposit: room.entryDeposit,
+        settings: room.settings,
         gameStarted: room.gameStarted,
+        spectatorCount: room.spectators.size,
         createdAt: room.createdAt || now,
-        currentChunk: room.gameState?.currentChunk || 0,
-        playerScore: room.gameState?.player?.score || 0,
-        playerLives: room.gameState?.player?.lives || 3
+        ...(isInProgress ? mode.summarize(room.gameState) : {})
       });
     }
   }
@@ -157,6 +277,8 @@ export async function handleGetAvailableRooms(ws, { roomManager }) {
   ws.send(JSON.stringify({
     type: 'room:available',
     rooms: availableRooms,
-    message: 'Available rooms for spectating (LockBlock is single-player)'
+    modes: listGameModes(),
+    levelPacks: listLevelPacks(),
+    message: 'Rooms with free seats to join and games in progress to spectate'
   }));
 }
\ No newline at end of file
@@ -1,12 +1,30 @@
 /**
- * WebSocket server for Nitro Aura Tic Tac Toe game
+ * WebSocket server for Nitro Aura games (LockBlock and the legacy Tic Tac Toe mode)
  */
 
 import { createWebSocketServer, sendError, startPingInterval } from './config/websocket.js';
-import { initializeRPCClient, createRoomManager } from './services/index.js';
-import { handleJoinRoom, handleGetAvailableRooms } from './routes/roomRoutes.js';
-import { handleStartGame, handleAction } from './routes/gameRoutes.js';
-import { addAppSessionSignature, createAppSessionWithSignatures, getPendingAppSessionMessage } from './services/index.js';
+import {
+  initializeRPCClient,
+  createRoomManager,
+  loadLevelPacks,
+  watchLevelPacks,
+  getAuthenticatedAddress
+} from './services/index.js';
+import { handleJoinRoom, handleSpectateRoom, handleResumeRoom, handleGetAvailableRooms } from './routes/roomRoutes.js';
+import {
+  handleStartGame,
+  handleAction,
+  handleResync,
+  handlePlayerDisconnect
+} from './routes/gameRoutes.js';
+import { handlePublishContent } from './routes/adminRoutes.js';
+import {
+  handleAuthChallenge,
+  handleAuthVerify,
+  handleAuthResume,
+  handleAuthLogout
+} from './routes/authRoutes.js';
+import { handleAppSessionSignature, handleAppSessionStartGame } from './routes/appSessionRoutes.js';
 import logger from './utils/logger.js';
 
 // Create WebSocket server
@@ -20,167 +38,17 @@ const connections = new Map();
 // Track online users count
 let onlineUsersCount = 0;
 
-/**
- * Handles app session signature submission
- */
-async function handleAppSessionSignature(ws, payload, { roomManager, connections, sendError }) {
-  if (!payload || typeof payload !== 'object') {
-    return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
-  }
-
-  const { roomId, signature } = payload;
-
-  if (!roomId || !signature) {
-    return sendError(ws, 'INVALID_PAYLOAD', 'Room ID and signature are required');
-  }
-
-  // Find the player submitting the signature
-  let playerEoa = null;
-  for (const [eoa, connection] of connections.entries()) {
-    if (connection.ws === ws) {
-      playerEoa = eoa;
-      break;
-    }
-  }
-
-  if (!playerEoa) {
-    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
-  }
-
-  try {
-    const allSignaturesCollected = await addAppSessionSignature(roomId, playerEoa, signature);
-    
-    logger.nitro(`Signature added for ${playerEoa} in room ${roomId}`);
-    
-    // Send confirmation to the signing player
-    ws.send(JSON.stringify({
-      type: 'appSession:signatureConfirmed',
-      roomId
-    }));
-
-    // Check if this was participant B (guest) signing, and if so, request signature from participant A (host)
-    const room = roomManager.rooms.get(roomId);
-    if (room && playerEoa === room.players.guest && !allSignaturesCollected) {
-      logger.nitro(`Participant B signed, now requesting signature from participant A (host)`);
-      
-      // Send signature request to participant A (host)
-      const hostConnection = room.connections.get(room.players.host);
-      if (hostConnection && hostConnection.ws.readyState === 1) {
-        // Get the existing pending app session message (don't generate a new one!)
-        const appSessionMessage = getPendingAppSessionMessage(roomId);
-        
-        if (!appSessionMessage) {
-          logger.error(`No pending app session found for room ${roomId}`);
-          return;
-        }
-        
-        hostConnection.ws.send(JSON.stringify({
-          type: 'appSession:startGameRequest',
-          roomId,
-          appSessionData: appSessionMessage.appSessionData,
-          appDefinition: appSessionMessage.appDefinition,
-          participants: appSessionMessage.participants,
-          requestToSign: appSessionMessage.requestToSign
-        }));
-        
-        logger.nitro(`Sent start game request to host ${room.players.host}`);
-      } else {
-        logger.error(`Host connection not found or not ready for room ${roomId}`);
-      }
-    }
-    
-    // If all signatures are collected, create the app session (this happens after participant A signs)
-    if (allSignaturesCollected) {
-      logger.nitro(`All signatures collected for room ${roomId}, creating app session`);
-      // The app session creation will be handled by the handleAppSessionStartGame function
-    }
-    
-  } catch (error) {
-    logger.error(`Error handling app session signature for room ${roomId}:`, error);
-    return sendError(ws, 'SIGNATURE_ERROR', error.message);
-  }
-}
-
-/**
- * Handles app session start game request (with host signature)
- */
-async function handleAppSessionStartGame(ws, payload, { roomManager, connections, sendError }) {
-  if (!payload || typeof payload !== 'object') {
-    return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
-  }
-
-  const { roomId, signature } = payload;
-
-  if (!roomId || !signature) {
-    return sendError(ws, 'INVALID_PAYLOAD', 'Room ID and signature are required');
-  }
-
-  // Find the player submitting the signature (should be host)
-  let playerEoa = null;
-  for (const [eoa, connection] of connections.entries()) {
-    if (connection.ws === ws) {
-      playerEoa = eoa;
-      break;
-    }
-  }
-
-  if (!playerEoa) {
-    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
-  }
-
-  // Get the room
-  const room = roomManager.rooms.get(roomId);
-  if (!room) {
-    return sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
-  }
-
-  // Only the host can start the game
-  if (room.players.host !== playerEoa) {
-    return sendError(ws, 'NOT_AUTHORIZED', 'Only the host can start the game');
-  }
-
-  try {
-    // Add the host's signature
-    const allSignaturesCollected = await addAppSessionSignature(roomId, playerEoa, signature);
-    
-    if (!allSignaturesCollected) {
-      return sendError(ws, 'SIGNATURES_INCOMPLETE', 'Not all signatures collected');
-    }
-
-    logger.nitro(`Host signature added for room ${roomId}, creating app session`);
-    
-    // Create the app session with all collected signatures
-    const appId = await createAppSessionWithSignatures(roomId);
-    
-    // Store the app ID in the room object
-    room.appId = appId;
-    
-    // Initialize game state
-    if (!room.gameState) {
-      const { createGame } = await import('./services/index.js');
-      room.gameState = createGame(room.players.host, room.players.guest);
-    }
-
-    // Broadcast game started
-    roomManager.broadcastToRoom(
-      roomId,
-      'game:started',
-      { roomId, firstTurn: 'X', appId }
-    );
-
-    // Send the initial game state
-    const { formatGameState } = await import('./services/index.js');
-    roomManager.broadcastToRoom(
-      roomId, 
-      'room:state', 
-      formatGameState(room.gameState, roomId)
-    );
-    
-  } catch (error) {
-    logger.error(`Error handling app session start game for room ${roomId}:`, error);
-    return sendError(ws, 'START_GAME_ERROR', error.message);
-  }
-}
+// Messages accepted before the connection signed in: sign-in itself,
+// read-only room access and operator messages (which carry their own token)
+const PUBLIC_MESSAGE_TYPES = new Set([
+  'auth:challenge',
+  'auth:verify',
+  'auth:resume',
+  'getAvailableRooms',
+  'spectateRoom',
+  'resync',
+  'admin:publishContent'
+]);
 
 // Function to broadcast online users count to all clients
 const broadcastOnlineUsersCount = () => {
@@ -202,7 +70,7 @@ const broadcastOnlineUsersCount = () => {
 const context = {
   roomManager,
   connections,
-  sendError: (ws, code, msg) => sendError(ws, code, msg)
+  sendError: (ws, code, msg, details) => sendError(ws, code, msg, details)
 };
 
 wss.on('connection', (ws) => {
@@ -221,18 +89,44 @@ wss.on('connection', (ws) => {
       return sendError(ws, 'INVALID_JSON', 'Invalid JSON format');
     }
 
+    // Everything that acts as a player needs a signed-in address
+    if (!PUBLIC_MESSAGE_TYPES.has(data.type) && !getAuthenticatedAddress(ws)) {
+      return sendError(ws, 'NOT_AUTHENTICATED', 'Sign in with auth:challenge first');
+    }
+
     // Process message based on type
     try {
       switch (data.type) {
+        case 'auth:challenge':
+          await handleAuthChallenge(ws, data.payload, context);
+          break;
+        case 'auth:verify':
+          await handleAuthVerify(ws, data.payload, context);
+          break;
+        case 'auth:resume':
+          await handleAuthResume(ws, data.payload, context);
+          break;
+        case 'auth:logout':
+          await handleAuthLogout(ws, data.payload, context);
+          break;
         case 'joinRoom':
           await handleJoinRoom(ws, data.payload, context);
           break;
+        case 'spectateRoom':
+          await handleSpectateRoom(ws, data.payload, context);
+          break;
+        case 'resumeRoom':
+          await handleResumeRoom(ws, data.payload, context);
+          break;
         case 'startGame':
           await handleStartGame(ws, data.payload, context);
           break;
         case 'action':
           await handleAction(ws, data.payload, context);
           break;
+        case 'resync':
+          await handleResync(ws, data.payload, context);
+          break;
         case 'getAvailableRooms':
           await handleGetAvailableRooms(ws, context);
           break;
@@ -242,6 +136,9 @@ wss.on('connection', (ws) => {
         case 'appSession:startGame':
           await handleAppSessionStartGame(ws, data.payload, context);
           break;
+        case 'admin:publishContent':
+          await handlePublishContent(ws, data.payload, context);
+          break;
         default:
           sendError(ws, 'INVALID_MESSAGE_TYPE', 'Invalid message type');
       }
@@ -252,27 +149,28 @@ wss.on('connection', (ws) => {
   });
 
   // Handle disconnection
-  ws.on('close', () => {
-    // Find and remove the player from any room
-    for (const [eoa, connection] of connections.entries()) {
-      if (connection.ws === ws) {
-        const result = roomManager.leaveRoom(eoa);
-        if (result.success && result.roomId) {
-          roomManager.broadcastToRoom(result.roomId, 'room:state', {
-            roomId: result.roomId,
-            // Send updated room state here
-          });
-        }
-        connections.delete(eoa);
-        break;
-      }
+  ws.on('close', async () => {
+    // Spectators only need to be detached
+    const spectator = roomManager.stopSpectating(ws);
+    if (spectator.success) {
+      roomManager.broadcastToRoom(spectator.roomId, 'room:spectators', {
+        roomId: spectator.roomId,
+        count: spectator.spectatorCount
+      });
     }
-    
+
     // Decrement online users count and broadcast to all clients
     onlineUsersCount = Math.max(0, onlineUsersCount - 1);
     broadcastOnlineUsersCount();
     
     logger.ws('Client disconnected');
+
+    // Hold the player's seat, or take them out of the room and settle it
+    try {
+      await handlePlayerDisconnect(ws, context);
+    } catch (error) {
+      logger.error('Error handling player disconnect:', error);
+    }
   });
 });
 
@@ -301,6 +199,16 @@ async function initializeNitroliteServices() {
 const port = process.env.PORT || 8080;
 logger.system(`WebSocket server starting on port ${port}`);
 
+// Load level packs; broken packs are logged and skipped. With CONTENT_WATCH
+// enabled, edits to the level directory publish a new content version.
+loadLevelPacks().then(() => {
+  if (process.env.CONTENT_WATCH === 'true') {
+    watchLevelPacks();
+  }
+}).catch(error => {
+  logger.error('Failed to load level packs:', error);
+});
+
 // Initialize Nitrolite client and channel
 initializeNitroliteServices().then(() => {
   logger.system('Server initialization complete');
@@ -2,10 +2,11 @@
  * Nitrolite app sessions for game rooms
  * This file handles creating and closing app sessions for games
  */
-import { createAppSessionMessage, createCloseAppSessionMessage } from '@erc7824/nitrolite';
+import { createAppSessionMessage, createCloseAppSessionMessage, createSubmitAppStateMessage } from '@erc7824/nitrolite';
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
+import { addAmounts, sameTotal } from '../utils/amounts.js';
 import { getRPCClient } from './nitroliteRPC.js';
 
 // Load environment variables
@@ -17,14 +18,40 @@ const roomAppSessions = new Map();
 // Map to store pending app session signatures by room ID
 const pendingAppSessions = new Map();
 
+/**
+ * @typedef {Object} AppSessionFunding
+ * @property {Array<string>} allocations - Amounts locked by [participant A, participant B, server]
+ * @property {string} asset - Asset the amounts are in (e.g. 'usdc')
+ */
+
+// Close attempts made right away, and the delay between background retries after that
+const CLOSE_ATTEMPTS = 3;
+const CLOSE_RETRY_DELAY = 30000;
+
+/**
+ * Pairs amounts with the app session participants
+ * @param {Array<string>} participants - [participant A, participant B, server] addresses
+ * @param {Array<string>} amounts - Amount for each participant
+ * @param {string} asset - Asset the amounts are in
+ * @returns {Array<Object>} Allocations in participant order
+ */
+function buildAllocations(participants, amounts, asset) {
+  return participants.map((participant, index) => ({
+    participant,
+    asset,
+    amount: amounts[index].toString()
+  }));
+}
+
 /**
  * Generate app session message for multi-signature collection
  * @param {string} roomId - Room ID
  * @param {string} participantA - First player's address
  * @param {string} participantB - Second player's address
+ * @param {AppSessionFunding} funding - What each participant locks, and in which asset
  * @returns {Promise<Object>} The unsigned app session message and app definition
  */
-export async function generateAppSessionMessage(roomId, participantA, participantB) {
+export async function generateAppSessionMessage(roomId, participantA, participantB, { allocations, asset }) {
   try {
     // Format addresses to proper checksum format
     const formattedParticipantA = ethers.getAddress(participantA);
@@ -67,23 +94,7 @@ export async function generateAppSessionMessage(roomId, participantA, participan
     
     const appSessionData = [{
       definition: appDefinition,
-      allocations: [
-        {
-          participant: formattedParticipantA,
-          asset: 'usdc',
-          amount: '0.01',
-        },
-        {
-          participant: formattedParticipantB,
-          asset: 'usdc',
-          amount: '0.01',
-        },
-        {
-          participant: serverAddress,
-          asset: 'usdc',
-          amount: '0',
-        },
-      ]
+      allocations: buildAllocations(appDefinition.participants, allocations, asset)
     }];
     
     // Generate the complete request structure that everyone will sign
@@ -124,12 +135,28 @@ export async function generateAppSessionMessage(roomId, participantA, participan
   }
 }
 
+/**
+ * Recover the address that signed an app session request. Participants sign
+ * the same way the server does: the keccak256 digest of the JSON request.
+ * @param {Array} requestToSign - Request structure every participant signs
+ * @param {string} signature - Signature over the request
+ * @returns {string|null} Checksummed signer address, or null if the signature is malformed
+ */
+function recoverRequestSigner(requestToSign, signature) {
+  try {
+    return ethers.recoverAddress(ethers.id(JSON.stringify(requestToSign)), signature);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Add a signature to the pending app session
  * @param {string} roomId - Room ID
  * @param {string} participantAddress - Address of the signing participant
  * @param {string} signature - The participant's signature
  * @returns {Promise<boolean>} Whether all signatures are collected
+ * @throws {Error} With code SIGNATURE_MISMATCH if the signature is not the participant's
  */
 export async function addAppSessionSignature(roomId, participantAddress, signature) {
   try {
@@ -146,6 +173,14 @@ export async function addAppSessionSignature(roomId, participantAddress, signatu
     if (!isValidParticipant) {
       throw new Error(`Invalid participant ${formattedParticipantAddress} for room ${roomId}`);
     }
+
+    // Reject signatures from the wrong wallet now rather than when the ClearNode refuses the session
+    const signer = recoverRequestSigner(pendingSession.requestToSign, signature);
+    if (signer !== formattedParticipantAddress) {
+      const error = new Error(`Signature was made by ${signer || 'an unknown key'}, expected ${formattedParticipantAddress}`);
+      error.code = 'SIGNATURE_MISMATCH';
+      throw error;
+    }
     
     // Store the signature
     pendingSession.signatures.set(formattedParticipantAddress, signature);
@@ -306,6 +341,10 @@ export async function createAppSessionWithSignatures(roomId) {
       participantB: pendingSession.participantB,
       serverAddress: pendingSession.serverAddress,
       tokenAddress: process.env.USDC_TOKEN_ADDRESS,
+      asset: pendingSession.appSessionData[0].allocations[0].asset,
+      lockedAllocations: pendingSession.appSessionData[0].allocations.map(allocation => allocation.amount),
+      stateUpdates: [],
+      failedStateUpdates: [],
       createdAt: Date.now()
     });
     
@@ -326,9 +365,10 @@ export async function createAppSessionWithSignatures(roomId) {
  * @param {string} roomId - Room ID
  * @param {string} participantA - First player's address
  * @param {string} participantB - Second player's address
+ * @param {AppSessionFunding} funding - What each participant locks, and in which asset
  * @returns {Promise<string>} The app session ID
  */
-export async function createAppSession(roomId, participantA, participantB) {
+export async function createAppSession(roomId, participantA, participantB, { allocations, asset }) {
   try {
     logger.nitro(`Creating app session for room ${roomId}`);
     
@@ -347,9 +387,6 @@ export async function createAppSession(roomId, participantA, participantB) {
       throw new Error('Token address not set in environment variables');
     }
     
-    // Define the deposit amount (use '0' for free games or actual amount for paid games)
-    const amount = '0'; // Set this to the appropriate amount if needed
-    
     // Create app definition
     const appDefinition = {
       protocol: "app_aura_nitrolite_v0",
@@ -369,23 +406,7 @@ export async function createAppSession(roomId, participantA, participantB) {
       [
         {
           definition: appDefinition,
-          allocations: [
-            {
-              participant: participantA,
-              asset: 'usdc',
-              amount: '0.01',
-            },
-            {
-              participant: participantB,
-              asset: 'usdc',
-              amount: '0.01',
-            },
-            {
-              participant: serverAddress,
-              asset: 'usdc',
-              amount: '0',
-            },
-          ]
+          allocations: buildAllocations(appDefinition.participants, allocations, asset)
         },
       ]
     );
@@ -458,6 +479,10 @@ export async function createAppSession(roomId, participantA, participantB) {
       participantB,
       serverAddress,
       tokenAddress,
+      asset,
+      lockedAllocations: allocations.map(amount => amount.toString()),
+      stateUpdates: [],
+      failedStateUpdates: [],
       createdAt: Date.now()
     });
     
@@ -470,6 +495,117 @@ export async function createAppSession(roomId, participantA, participantB) {
   }
 }
 
+/**
+ * @typedef {Object} AppStateUpdate
+ * @property {number} version - Update number within the session, starting at 1
+ * @property {string} roomId - Room ID
+ * @property {string} mode - Game mode ID
+ * @property {Object} progress - Mode-specific progress (current chunk, score)
+ * @property {string} stateHash - keccak256 of the JSON-encoded game state
+ * @property {string} actionLogRoot - Merkle root of the action log (see computeActionLogRoot)
+ * @property {number} actionCount - Actions the root covers
+ * @property {number} timestamp - Server timestamp of the update
+ * @property {Object} [result] - How the game ended ({ gameResult, winner, abandonedBy });
+ *   only in the final state a close carries
+ */
+
+/**
+ * Submit intermediate app state to a room's app session. Allocations stay as
+ * locked; the session data records the game's progress so there is a signed
+ * trail to point to if the final settlement is disputed. The server holds
+ * the full quorum weight, so its signature alone makes the update valid.
+ * Updates of a session are sent one at a time, in version order; updates
+ * that were refused are kept in the session's failedStateUpdates.
+ * @param {string} roomId - Room ID
+ * @param {Object} appState - Progress to record (AppStateUpdate without version)
+ * @returns {Promise<boolean>} Whether the update was accepted
+ */
+export async function submitAppState(roomId, appState) {
+  const appSession = roomAppSessions.get(roomId);
+  if (!appSession) {
+    logger.warn(`No app session found for room ${roomId}`);
+    return false;
+  }
+
+  const previous = appSession.stateSubmission || Promise.resolve();
+  appSession.stateSubmission = previous.then(async () => {
+    // The session may have started closing while this update waited
+    if (appSession.closing) {
+      logger.warn(`App session for room ${roomId} is closing; dropping app state update at ${appState.actionCount} actions`);
+      return false;
+    }
+
+    // Versions only count accepted updates, so a failed one leaves no gap
+    const update = { version: appSession.stateUpdates.length + 1, ...appState };
+    try {
+      const rpcClient = await getRPCClient();
+      if (!rpcClient) {
+        throw new Error('RPC client not initialized');
+      }
+
+      const { appId, participantA, participantB, serverAddress, lockedAllocations, asset } = appSession;
+      const sign = rpcClient.signMessage.bind(rpcClient);
+      const signedMessage = await createSubmitAppStateMessage(sign, [{
+        app_session_id: appId,
+        allocations: buildAllocations([participantA, participantB, serverAddress], lockedAllocations, asset),
+        session_data: JSON.stringify(update)
+      }]);
+
+      if (!rpcClient.ws || rpcClient.ws.readyState !== 1) { // WebSocket.OPEN
+        throw new Error('WebSocket not connected or not in OPEN state');
+      }
+
+      // Updates can be in flight next to other requests, so match the response by request ID
+      const [requestId] = JSON.parse(signedMessage).req;
+      const submitResponsePromise = new Promise((resolve, reject) => {
+        const handleSubmitResponse = (data) => {
+          try {
+            const rawData = typeof data === 'string' ? data : data.toString();
+            const message = JSON.parse(rawData);
+
+            if (message.res && message.res[0] === requestId) {
+              rpcClient.ws.removeListener('message', handleSubmitResponse);
+              clearTimeout(timeout);
+              resolve(message.res[2]);
+            }
+
+            if (message.err && message.err[0] === requestId) {
+              rpcClient.ws.removeListener('message', handleSubmitResponse);
+              clearTimeout(timeout);
+              reject(new Error(`Error ${message.err[1]}: ${message.err[2]}`));
+            }
+          } catch (error) {
+            logger.error('Error handling app state response:', error);
+          }
+        };
+
+        // Set timeout to prevent hanging
+        const timeout = setTimeout(() => {
+          rpcClient.ws.removeListener('message', handleSubmitResponse);
+          reject(new Error('Submit app state timeout'));
+        }, 10000);
+
+        rpcClient.ws.on('message', handleSubmitResponse);
+      });
+
+      rpcClient.ws.send(signedMessage);
+
+      const response = await submitResponsePromise;
+      logger.data(`App state update ${update.version} response for room ${roomId}:`, response);
+
+      appSession.stateUpdates.push({ ...update, submittedAt: Date.now() });
+      logger.nitro(`Submitted app state ${update.version} for room ${roomId} (progress ${JSON.stringify(update.progress)})`);
+      return true;
+    } catch (error) {
+      logger.error(`Error submitting app state ${update.version} for room ${roomId}:`, error);
+      appSession.failedStateUpdates.push({ version: update.version, error: error.message, failedAt: Date.now() });
+      return false;
+    }
+  });
+
+  return appSession.stateSubmission;
+}
+
 /**
  * Close an app session with winner taking the allocation
  * @param {string} roomId - Room ID
@@ -485,22 +621,23 @@ export async function closeAppSessionWithWinner(roomId, winnerId = null) {
       return false;
     }
 
-    const { participantA, participantB } = appSession;
+    const { participantA, participantB, lockedAllocations } = appSession;
+    const total = addAmounts(...lockedAllocations);
     
     // Calculate allocations based on winner
     let allocations;
     if (winnerId === 'A') {
       // Player A wins - gets all the funds
-      allocations = ['0.02', '0', '0']; // A gets both initial allocations
+      allocations = [total, '0', '0']; // A gets both initial allocations
       logger.nitro(`Player A (${participantA}) wins room ${roomId} - taking full allocation`);
     } else if (winnerId === 'B') {
       // Player B wins - gets all the funds
-      allocations = ['0', '0.02', '0']; // B gets both initial allocations
+      allocations = ['0', total, '0']; // B gets both initial allocations
       logger.nitro(`Player B (${participantB}) wins room ${roomId} - taking full allocation`);
     } else {
-      // Tie or no winner - split evenly
-      allocations = ['0.01', '0.01', '0'];
-      logger.nitro(`Tie in room ${roomId} - splitting allocation evenly`);
+      // Tie or no winner - everyone gets back what they locked
+      allocations = lockedAllocations;
+      logger.nitro(`Tie in room ${roomId} - returning the locked allocations`);
     }
 
     // Use the existing closeAppSession function with calculated allocations
@@ -513,12 +650,29 @@ export async function closeAppSessionWithWinner(roomId, winnerId = null) {
 }
 
 /**
- * Close an app session for a game room
+ * Checks that close allocations pay out exactly what was locked into the
+ * session, so a close never creates or loses funds
+ * @param {Object} appSession - Stored app session
+ * @param {Array<string>} allocations - Final allocations
+ * @returns {boolean} True if the allocations add up to the locked total
+ */
+function matchesLockedTotal(appSession, allocations) {
+  if (allocations.length !== appSession.lockedAllocations.length) {
+    return false;
+  }
+  return sameTotal(allocations, appSession.lockedAllocations);
+}
+
+/**
+ * Close an app session for a game room, once the app state updates already
+ * queued for it were sent. The final state goes into the close's session
+ * data as the last update, so the signed trail ends with the game's result.
  * @param {string} roomId - Room ID
- * @param {Array<number>} [allocations=[0,0,0]] - Final allocations
+ * @param {Array<string>} allocations - Final allocations; must add up to what was locked
+ * @param {Object} [finalState] - Final app state (AppStateUpdate without version)
  * @returns {Promise<boolean>} Success status
  */
-export async function closeAppSession(roomId, allocations) {
+export async function closeAppSession(roomId, allocations, finalState = null) {
   try {
     // Get the app session for this room
     const appSession = roomAppSessions.get(roomId);
@@ -534,6 +688,16 @@ export async function closeAppSession(roomId, allocations) {
       return false;
     }
     
+    if (!matchesLockedTotal(appSession, allocations)) {
+      logger.error(`Refusing to close app session ${appId} for room ${roomId}: allocations ${allocations} do not add up to the locked ${appSession.lockedAllocations}`);
+      return false;
+    }
+
+    // Let app state updates already queued for this session go out first;
+    // later ones are dropped
+    await appSession.stateSubmission;
+    appSession.closing = true;
+
     logger.nitro(`Closing app session ${appId} for room ${roomId}`);
     
     // Get the RPC client
@@ -550,29 +714,16 @@ export async function closeAppSession(roomId, allocations) {
       throw new Error('Missing participant information in app session');
     }
 
-    const finalAllocations = [
-      {
-        participant: participantA,
-        asset: 'usdc',
-        amount: allocations[0].toString(),
-      },
-      {
-        participant: participantB,
-        asset: 'usdc',
-        amount: allocations[1].toString(),
-      },
-      {
-        participant: serverAddress,
-        asset: 'usdc',
-        amount: allocations[2].toString(),
-      },
-    ];
+    const finalAllocations = buildAllocations([participantA, participantB, serverAddress], allocations, appSession.asset);
     
     // Final allocations and close request
     const closeRequest = {
       app_session_id: appId,
       allocations: finalAllocations,
     };
+    if (finalState) {
+      closeRequest.session_data = JSON.stringify({ version: appSession.stateUpdates.length + 1, ...finalState });
+    }
     
     // Use the RPC client's signMessage method for consistent signing
     const sign = rpcClient.signMessage.bind(rpcClient);
@@ -592,7 +743,8 @@ export async function closeAppSession(roomId, allocations) {
       throw new Error('WebSocket not connected or not in OPEN state');
     }
     
-    // Set up a promise to handle the response from the WebSocket
+    // Other requests share the socket, so match the response by request ID
+    const [requestId] = JSON.parse(signedMessage).req;
     const closeSessionResponsePromise = new Promise((resolve, reject) => {
       // Create a one-time message handler for the close session response
       const handleCloseSessionResponse = (data) => {
@@ -602,17 +754,16 @@ export async function closeAppSession(roomId, allocations) {
           
           logger.data(`Received close session response:`, message);
           
-          // Check if this is a close session response
-          if (message.res && (message.res[1] === 'close_app_session' || 
-                             message.res[1] === 'app_session_closed')) {
+          if (message.res && message.res[0] === requestId) {
             // Remove the listener once we get the response
             rpcClient.ws.removeListener('message', handleCloseSessionResponse);
+            clearTimeout(timeout);
             resolve(message.res[2]);
           }
           
-          // Also check for error responses
-          if (message.err) {
+          if (message.err && message.err[0] === requestId) {
             rpcClient.ws.removeListener('message', handleCloseSessionResponse);
+            clearTimeout(timeout);
             reject(new Error(`Error ${message.err[1]}: ${message.err[2]}`));
           }
         } catch (error) {
@@ -620,14 +771,14 @@ export async function closeAppSession(roomId, allocations) {
         }
       };
       
-      // Add the message handler
-      rpcClient.ws.on('message', handleCloseSessionResponse);
-      
       // Set timeout to prevent hanging
-      setTimeout(() => {
+      const timeout = setTimeout(() => {
         rpcClient.ws.removeListener('message', handleCloseSessionResponse);
         reject(new Error('Close session timeout'));
       }, 10000);
+
+      // Add the message handler
+      rpcClient.ws.on('message', handleCloseSessionResponse);
     });
     
     // Send the signed message directly
@@ -651,6 +802,93 @@ export async function closeAppSession(roomId, allocations) {
   }
 }
 
+/**
+ * Close an app session, retrying until it is closed so funds are never left
+ * locked. A few attempts are made right away; if they all fail, retries
+ * continue in the background.
+ * @param {string} roomId - Room ID
+ * @param {Array<string>} allocations - Final allocations
+ * @param {Object} [finalState] - Final app state (see closeAppSession)
+ * @returns {Promise<boolean>} Whether the session was closed right away
+ */
+export async function closeAppSessionWithRetry(roomId, allocations, finalState = null) {
+  // Allocations that don't add up will never close; retrying can't fix them
+  const appSession = roomAppSessions.get(roomId);
+  if (appSession && !matchesLockedTotal(appSession, allocations)) {
+    logger.error(`App session for room ${roomId} left open: allocations ${allocations} do not add up to the locked ${appSession.lockedAllocations}`);
+    return false;
+  }
+
+  for (let attempt = 1; attempt <= CLOSE_ATTEMPTS; attempt++) {
+    if (!roomAppSessions.has(roomId)) {
+      return false;
+    }
+
+    if (await closeAppSession(roomId, allocations, finalState)) {
+      return true;
+    }
+
+    logger.warn(`Closing app session for room ${roomId} failed (attempt ${attempt}/${CLOSE_ATTEMPTS})`);
+    if (attempt < CLOSE_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+
+  scheduleCloseRetry(roomId, allocations, finalState);
+  return false;
+}
+
+/**
+ * Keeps retrying to close an app session in the background until it closes
+ * @param {string} roomId - Room ID
+ * @param {Array<string>} allocations - Final allocations
+ * @param {Object} [finalState] - Final app state (see closeAppSession)
+ */
+function scheduleCloseRetry(roomId, allocations, finalState = null) {
+  const appSession = roomAppSessions.get(roomId);
+  if (!appSession) return;
+
+  appSession.pendingClose = allocations;
+  logger.error(`App session ${appSession.appId} for room ${roomId} is still open; retrying every ${CLOSE_RETRY_DELAY}ms`);
+
+  setTimeout(async () => {
+    if (!roomAppSessions.has(roomId)) return;
+
+    if (await closeAppSession(roomId, allocations, finalState)) {
+      logger.nitro(`App session for room ${roomId} closed on retry`);
+    } else {
+      scheduleCloseRetry(roomId, allocations, finalState);
+    }
+  }, CLOSE_RETRY_DELAY);
+}
+
+/**
+ * Close an app session for a game that never started, returning to every
+ * participant what they locked into it
+ * @param {string} roomId - Room ID
+ * @returns {Promise<boolean>} Whether the session was closed right away
+ */
+export async function refundAppSession(roomId) {
+  const appSession = roomAppSessions.get(roomId);
+  if (!appSession) {
+    logger.warn(`No app session found for room ${roomId}`);
+    return false;
+  }
+
+  logger.nitro(`Refunding app session ${appSession.appId} for room ${roomId}: ${appSession.lockedAllocations}`);
+  return closeAppSessionWithRetry(roomId, appSession.lockedAllocations);
+}
+
+/**
+ * Drop the pending app session of a room, e.g. when a player leaves before
+ * everyone signed. Nothing is locked until the session is created.
+ * @param {string} roomId - Room ID
+ * @returns {boolean} Whether a pending session was dropped
+ */
+export function discardPendingAppSession(roomId) {
+  return pendingAppSessions.delete(roomId);
+}
+
 /**
  * Get the app session for a room
  * @param {string} roomId - Room ID
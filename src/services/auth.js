@@ -0,0 +1,198 @@
+/**
+ * Wallet sign-in for WebSocket connections
+ * A client proves it controls an EOA by signing a server-issued challenge
+ * (personal_sign). The recovered address is bound to the WebSocket; room and
+ * app session messages are only accepted from bound connections and always
+ * act as the bound address.
+ * Signing in also issues a short-lived session token (HMAC-signed with the
+ * server key) that lets a new connection sign in again without a wallet
+ * signature. Tokens are single use: resuming rotates them, and signs out the
+ * connection that held the session before.
+ */
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import { AUTH_CHALLENGE_TTL, SESSION_TTL } from '../config/websocket.js';
+
+// Load environment variables
+dotenv.config();
+
+// Open challenges and signed-in sessions ({ eoa, sessionId }) by WebSocket
+const challenges = new WeakMap();
+const authenticated = new WeakMap();
+
+// Sessions that can still be resumed ({ eoa, expiresAt, ws }) by session ID,
+// with the connection currently holding each
+const sessions = new Map();
+
+// Key session tokens are signed with
+const sessionSecret = process.env.SESSION_SECRET || randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  logger.warn('SESSION_SECRET is not set; using a random key for this process');
+}
+
+/**
+ * Builds the message a client signs to sign in
+ * @param {string} eoa - Address signing in
+ * @param {string} nonce - Server-issued nonce
+ * @param {number} issuedAt - Challenge timestamp
+ * @returns {string} Message to sign
+ */
+function buildChallengeMessage(eoa, nonce, issuedAt) {
+  return [
+    'Sign in to Nitro Aura',
+    '',
+    `Address: ${eoa}`,
+    `Nonce: ${nonce}`,
+    `Issued at: ${new Date(issuedAt).toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Issues a sign-in challenge for a connection, replacing any open one
+ * @param {Object} ws - WebSocket connection
+ * @param {string} eoa - Address the client wants to sign in as
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the nonce, the message to sign and its expiry
+ */
+export function createAuthChallenge(ws, eoa, now = Date.now()) {
+  const formattedEoa = ethers.getAddress(eoa);
+  const nonce = randomBytes(16).toString('hex');
+  const message = buildChallengeMessage(formattedEoa, nonce, now);
+  const expiresAt = now + AUTH_CHALLENGE_TTL;
+
+  challenges.set(ws, { eoa: formattedEoa, nonce, message, expiresAt });
+
+  return { success: true, eoa: formattedEoa, nonce, message, expiresAt };
+}
+
+/**
+ * Checks the signature over a connection's open challenge and binds the
+ * signer to the connection. Each challenge can be answered once.
+ * @param {Object} ws - WebSocket connection
+ * @param {string} signature - personal_sign signature of the challenge message
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the signed-in address and a session token, or error
+ */
+export function verifyAuthChallenge(ws, signature, now = Date.now()) {
+  const challenge = challenges.get(ws);
+  challenges.delete(ws);
+
+  if (!challenge) {
+    return { success: false, error: 'No open challenge; request auth:challenge first' };
+  }
+
+  if (now > challenge.expiresAt) {
+    return { success: false, error: 'Challenge expired' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(challenge.message, signature);
+  } catch (error) {
+    return { success: false, error: 'Invalid signature' };
+  }
+
+  if (signer !== challenge.eoa) {
+    logger.warn(`Sign-in for ${challenge.eoa} was signed by ${signer}`);
+    return { success: false, error: 'Signature does not match the address' };
+  }
+
+  logger.ws(`Connection signed in as ${challenge.eoa}`);
+  return { success: true, ...startSession(ws, challenge.eoa, now) };
+}
+
+/**
+ * Signs the payload of a session token
+ * @param {string} payload - Encoded token payload
+ * @returns {Buffer} HMAC-SHA256 of the payload
+ */
+function signSessionPayload(payload) {
+  return createHmac('sha256', sessionSecret).update(payload).digest();
+}
+
+/**
+ * Binds an address to a connection and issues a session token for it
+ * @param {Object} ws - WebSocket connection
+ * @param {string} eoa - Signed-in address
+ * @param {number} now - Current timestamp
+ * @returns {Object} Signed-in address, session token and its expiry
+ */
+function startSession(ws, eoa, now) {
+  // Expired sessions can't be resumed anymore
+  for (const [sessionId, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(sessionId);
+  }
+
+  const sessionId = randomBytes(16).toString('hex');
+  const expiresAt = now + SESSION_TTL;
+  sessions.set(sessionId, { eoa, expiresAt, ws });
+  authenticated.set(ws, { eoa, sessionId });
+
+  const payload = Buffer.from(JSON.stringify({ sid: sessionId, eoa, exp: expiresAt })).toString('base64url');
+  const sessionToken = `${payload}.${signSessionPayload(payload).toString('base64url')}`;
+
+  return { eoa, sessionToken, expiresAt };
+}
+
+/**
+ * Signs a connection in with a session token issued to an earlier
+ * connection. The token is revoked and a new one issued; the earlier
+ * connection is signed out if it is still signed in with that session.
+ * @param {Object} ws - WebSocket connection
+ * @param {string} token - Session token
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the signed-in address, the new session token and
+ *   the signed out connection (previousWs, or null), or error
+ */
+export function resumeSession(ws, token, now = Date.now()) {
+  const [payload, signature = ''] = token.split('.');
+  const expected = signSessionPayload(payload);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return { success: false, error: 'Invalid session token' };
+  }
+
+  const { sid, eoa } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const session = sessions.get(sid);
+  if (!session || session.eoa !== eoa) {
+    return { success: false, error: 'Session was revoked' };
+  }
+
+  sessions.delete(sid);
+  const previousWs = authenticated.get(session.ws)?.sessionId === sid ? session.ws : null;
+  if (previousWs) {
+    authenticated.delete(previousWs);
+  }
+
+  if (now > session.expiresAt) {
+    return { success: false, error: 'Session expired' };
+  }
+
+  logger.ws(`Connection resumed the session of ${eoa}`);
+  return { success: true, ...startSession(ws, eoa, now), previousWs };
+}
+
+/**
+ * Gets the address a connection signed in as
+ * @param {Object} ws - WebSocket connection
+ * @returns {string|null} Checksummed address, or null if not signed in
+ */
+export function getAuthenticatedAddress(ws) {
+  return authenticated.get(ws)?.eoa || null;
+}
+
+/**
+ * Signs a connection out and revokes its session token
+ * @param {Object} ws - WebSocket connection
+ * @returns {boolean} Whether the connection was signed in
+ */
+export function clearAuthentication(ws) {
+  const session = authenticated.get(ws);
+  challenges.delete(ws);
+  if (session) {
+    sessions.delete(session.sessionId);
+  }
+  return authenticated.delete(ws);
+}
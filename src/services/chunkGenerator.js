@@ -0,0 +1,292 @@
+/**
+ * Seeded chunk generator for LockBlock
+ * The same seed always produces byte-identical chunks, so any run can be
+ * regenerated for audits and replays.
+ */
+import { randomInt } from 'crypto';
+import { PHYSICS } from './physics.js';
+import { POWER_UP_TYPES } from '../config/powerUps.js';
+
+const { TILE_SIZE } = PHYSICS;
+
+// Height of every generated chunk, in tiles
+const CHUNK_HEIGHT = 12;
+
+// Flat columns kept free of features at the start and end of a chunk
+const SAFE_START = 5;
+const SAFE_END = 5;
+
+// Row the player stands on top of (the first ground row)
+const GROUND_ROW = CHUNK_HEIGHT - 2;
+
+// Floating platforms sit two tiles above the ground so a jump can reach them
+const PLATFORM_ROW = GROUND_ROW - 2;
+
+/**
+ * Default chunk themes, in play order. Runs longer than the list repeat the
+ * last theme. Published content can replace them (see contentRegistry.js).
+ */
+export const CHUNK_THEMES = [
+  {
+    name: 'Tutorial Chunk',
+    difficulty: 1,
+    width: 32,
+    obstacles: ['pit', 'spike'],
+    collectibles: ['coin', 'powerup']
+  },
+  {
+    name: 'Forest Chunk',
+    difficulty: 2,
+    width: 48,
+    obstacles: ['pit', 'spike', 'enemy'],
+    collectibles: ['coin', 'gem']
+  },
+  {
+    name: 'Mountain Chunk',
+    difficulty: 3,
+    width: 64,
+    obstacles: ['pit', 'spike', 'enemy', 'moving_platform'],
+    collectibles: ['coin', 'gem', 'treasure']
+  }
+];
+
+/**
+ * Picks a random game seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  return randomInt(0, 0x100000000);
+}
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Object} Generator with next(), int(min, max) and pick(items)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+/**
+ * Derives the seed of a single chunk from the game seed
+ * @param {number} seed - Game seed
+ * @param {number} index - Chunk index
+ * @returns {number} Chunk seed
+ */
+export function deriveChunkSeed(seed, index) {
+  return (seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+}
+
+/**
+ * Generates all chunks for a game
+ * @param {number} seed - Game seed
+ * @param {Object} settings - Generation settings from the difficulty profile
+ * @param {number} settings.chunkCount - Number of chunks to generate
+ * @param {number} settings.obstacleDensity - Chance (0-1) that a feature is an obstacle
+ * @param {number} settings.enemySpeed - Enemy patrol speed in pixels per tick
+ * @param {Array<Object>} [themes] - Chunk themes in play order (default: CHUNK_THEMES)
+ * @returns {Array<Object>} Array of chunk objects
+ */
+export function generateChunks(seed, settings, themes = CHUNK_THEMES) {
+  const chunks = [];
+  for (let index = 0; index < settings.chunkCount; index++) {
+    const theme = themes[Math.min(index, themes.length - 1)];
+    chunks.push(generateChunk(deriveChunkSeed(seed, index), index, theme, settings));
+  }
+  return chunks;
+}
+
+/**
+ * Places a checkpoint on the flat, hazard-free ground column closest to the
+ * middle of a chunk. The respawn point is the player standing on that column.
+ * @param {Array<Array<string>>} grid - Tile grid
+ * @param {number} width - Chunk width in tiles
+ * @param {Array<Object>} obstacles - Obstacles already placed in the chunk
+ * @param {number} index - Chunk index
+ * @returns {Array<Object>} Zero or one checkpoint
+ */
+function placeCheckpoints(grid, width, obstacles, index) {
+  const isClear = (col) => {
+    const left = col * TILE_SIZE;
+    return grid[GROUND_ROW][col] === '#'
+      && grid[GROUND_ROW - 1][col] === '.'
+      && !obstacles.some(obstacle =>
+        obstacle.type === 'enemy'
+        && left < obstacle.maxX + obstacle.width && obstacle.minX < left + TILE_SIZE
+      );
+  };
+
+  const middle = Math.floor(width / 2);
+  for (let offset = 0; offset < middle - SAFE_START; offset++) {
+    for (const col of [middle - offset, middle + offset]) {
+      if (!isClear(col)) continue;
+      return [{
+        id: `${index}-cp0`,
+        x: col * TILE_SIZE,
+        y: (GROUND_ROW - 2) * TILE_SIZE,
+        width: TILE_SIZE,
+        height: 2 * TILE_SIZE,
+        respawn: {
+          x: col * TILE_SIZE + (TILE_SIZE - PHYSICS.PLAYER_WIDTH) / 2,
+          y: GROUND_ROW * TILE_SIZE - PHYSICS.PLAYER_HEIGHT
+        }
+      }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Generates a single chunk: tile layout, obstacles, checkpoints and
+ * collectible spawns. Enemies and moving platforms carry an ID, their patrol
+ * range (minX..maxX), speed and starting phase; see entities.js for how
+ * they move. Positions are the top-left corner in pixels;
+ * collectibles occupy one tile and carry an ID of the form `<chunk>-<n>`;
+ * power-ups also carry the effect they grant.
+ * @param {number} chunkSeed - Chunk seed
+ * @param {number} index - Chunk index
+ * @param {Object} theme - Chunk theme
+ * @param {Object} settings - Generation settings (obstacleDensity, enemySpeed)
+ * @returns {Object} Chunk object
+ */
+export function generateChunk(chunkSeed, index, theme, settings) {
+  const rng = createRandom(chunkSeed);
+  const { width } = theme;
+  const grid = [];
+  for (let row = 0; row < CHUNK_HEIGHT; row++) {
+    grid.push(new Array(width).fill(row >= GROUND_ROW ? '#' : '.'));
+  }
+
+  const obstacles = [];
+  const collectibles = [];
+  const scenery = ['platform', 'flat', 'flat'];
+
+  const addCollectible = (col, row) => {
+    const type = rng.pick(theme.collectibles);
+    collectibles.push({
+      id: `${index}-${collectibles.length}`,
+      type,
+      ...(type === 'powerup' && { effect: rng.pick(POWER_UP_TYPES) }),
+      x: col * TILE_SIZE,
+      y: row * TILE_SIZE,
+      collected: false
+    });
+  };
+
+  let col = SAFE_START;
+  while (col < width - SAFE_END) {
+    const space = width - SAFE_END - col;
+    const feature = rng.next() < settings.obstacleDensity
+      ? rng.pick(theme.obstacles)
+      : rng.pick(scenery);
+
+    switch (feature) {
+      case 'pit': {
+        // Two tiles is the widest gap a running jump clears
+        const pitWidth = Math.min(rng.int(1, 2), space);
+        for (let c = col; c < col + pitWidth; c++) {
+          grid[GROUND_ROW][c] = '.';
+          grid[GROUND_ROW + 1][c] = '.';
+        }
+        obstacles.push({
+          type: 'pit',
+          x: col * TILE_SIZE,
+          y: GROUND_ROW * TILE_SIZE,
+          width: pitWidth * TILE_SIZE,
+          height: 2 * TILE_SIZE
+        });
+        col += pitWidth + 3;
+        break;
+      }
+      case 'spike':
+        grid[GROUND_ROW - 1][col] = '^';
+        obstacles.push({
+          type: 'spike',
+          x: col * TILE_SIZE,
+          y: (GROUND_ROW - 1) * TILE_SIZE,
+          width: TILE_SIZE,
+          height: TILE_SIZE
+        });
+        col += 3;
+        break;
+      case 'enemy': {
+        const patrol = Math.min(4, space);
+        obstacles.push({
+          id: `${index}-e${obstacles.length}`,
+          type: 'enemy',
+          x: col * TILE_SIZE,
+          y: (GROUND_ROW - 1) * TILE_SIZE,
+          width: TILE_SIZE,
+          height: TILE_SIZE,
+          minX: col * TILE_SIZE,
+          maxX: (col + patrol - 1) * TILE_SIZE,
+          speed: settings.enemySpeed,
+          phase: rng.int(0, 2 * (patrol - 1) * TILE_SIZE)
+        });
+        col += patrol + 2;
+        break;
+      }
+      case 'moving_platform': {
+        const travel = Math.min(5, space);
+        obstacles.push({
+          id: `${index}-e${obstacles.length}`,
+          type: 'moving_platform',
+          x: col * TILE_SIZE,
+          y: PLATFORM_ROW * TILE_SIZE,
+          width: 2 * TILE_SIZE,
+          height: TILE_SIZE,
+          minX: col * TILE_SIZE,
+          maxX: (col + travel - 2) * TILE_SIZE,
+          speed: 1,
+          phase: rng.int(0, Math.max(0, 2 * (travel - 2) * TILE_SIZE))
+        });
+        addCollectible(col + 1, PLATFORM_ROW - 2);
+        col += travel + 2;
+        break;
+      }
+      case 'platform': {
+        const length = Math.min(rng.int(2, 4), space);
+        for (let c = col; c < col + length; c++) {
+          grid[PLATFORM_ROW][c] = '=';
+        }
+        addCollectible(col + rng.int(0, length - 1), PLATFORM_ROW - 1);
+        col += length + 2;
+        break;
+      }
+      default:
+        if (rng.int(0, 1) === 1) {
+          addCollectible(col, GROUND_ROW - 1);
+        }
+        col += rng.int(1, 3);
+    }
+  }
+
+  return {
+    id: index,
+    name: theme.name,
+    difficulty: theme.difficulty,
+    width,
+    height: CHUNK_HEIGHT,
+    tiles: grid.map(row => row.join('')),
+    spawn: { x: TILE_SIZE, y: GROUND_ROW * TILE_SIZE - PHYSICS.PLAYER_HEIGHT },
+    exit: { x: (width - 2) * TILE_SIZE, y: 0, width: 2 * TILE_SIZE, height: GROUND_ROW * TILE_SIZE },
+    obstacles,
+    checkpoints: placeCheckpoints(grid, width, obstacles, index),
+    collectibles,
+    completed: false
+  };
+}
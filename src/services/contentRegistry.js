@@ -0,0 +1,214 @@
+/**
+ * Versioned game-content registry for LockBlock
+ * Content (chunk themes for generated runs plus level packs) is published as
+ * immutable versions. New rooms use the version that is current when they
+ * are created; running games keep the version they started with. Every
+ * version is identified by a hash of its content and snapshotted to disk, so
+ * replays and disputes can rebuild the exact chunks that were played.
+ */
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import { CHUNK_THEMES } from './chunkGenerator.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * @typedef {Object} GameContent
+ * @property {number} version - Version number, increasing with every publish and kept across
+ *   restarts (the same content always has the same version)
+ * @property {string} hash - 0x-prefixed SHA-256 of the themes and level packs
+ * @property {number} publishedAt - Publish timestamp
+ * @property {string} source - What published the version (e.g. 'default', 'admin', 'watch')
+ * @property {Array<Object>} themes - Chunk themes for generated runs
+ * @property {Object<string, Object>} levelPacks - Level packs by ID, with resolved chunks
+ */
+
+// Published content by hash, and the hash new rooms use
+const contentByHash = new Map();
+let currentHash = null;
+let latestVersion = 0;
+
+// Versions of the snapshots saved by earlier runs, by hash; read on first publish
+let snapshotVersions = null;
+
+// Format of content hashes; only hashes in this format are used in snapshot paths
+const CONTENT_HASH_PATTERN = /^0x[0-9a-f]{64}$/;
+
+/**
+ * Gets the directory content snapshots are written to
+ * @returns {string} Content snapshot directory
+ */
+function getContentDir() {
+  return process.env.CONTENT_DIR || 'content';
+}
+
+/**
+ * Hashes content so identical content always maps to the same version
+ * @param {Array<Object>} themes - Chunk themes
+ * @param {Object<string, Object>} levelPacks - Level packs by ID
+ * @returns {string} 0x-prefixed hex SHA-256 hash
+ */
+export function hashContent(themes, levelPacks) {
+  const packs = Object.keys(levelPacks).sort().map(id => levelPacks[id]);
+  return `0x${createHash('sha256').update(JSON.stringify({ themes, levelPacks: packs })).digest('hex')}`;
+}
+
+/**
+ * Reads the versions of the content snapshots on disk so versions keep
+ * counting from where earlier runs stopped. Unreadable snapshots are skipped.
+ * @returns {Map<string, number>} Snapshot versions by hash
+ */
+function readSnapshotVersions() {
+  const dir = getContentDir();
+  const versions = new Map();
+
+  let files = [];
+  try {
+    files = readdirSync(dir).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to list content snapshots in ${dir}:`, error);
+    }
+  }
+
+  for (const file of files) {
+    try {
+      const { version, hash } = JSON.parse(readFileSync(path.join(dir, file), 'utf8'));
+      if (CONTENT_HASH_PATTERN.test(hash) && Number.isInteger(version)) {
+        versions.set(hash, version);
+      }
+    } catch (error) {
+      logger.warn(`Skipping unreadable content snapshot ${file}: ${error.message}`);
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Gets the version for content: the version it was published with before
+ * (in this run or an earlier one), or the next unused version
+ * @param {string} hash - Content hash
+ * @returns {number} Version number
+ */
+function getVersionFor(hash) {
+  if (!snapshotVersions) {
+    snapshotVersions = readSnapshotVersions();
+    latestVersion = Math.max(latestVersion, ...snapshotVersions.values());
+  }
+  return snapshotVersions.get(hash) ?? ++latestVersion;
+}
+
+/**
+ * Publishes a new content version for rooms created from now on.
+ * Publishing content identical to the current version is a no-op.
+ * @param {Object} content - Content to publish
+ * @param {Array<Object>} [content.themes] - Chunk themes (default: CHUNK_THEMES)
+ * @param {Object<string, Object>} [content.levelPacks] - Level packs by ID (default: none)
+ * @param {string} [source='admin'] - What published the content
+ * @returns {Object} Result with the current version and hash, and whether a new version was published
+ */
+export function publishContent({ themes = CHUNK_THEMES, levelPacks = {} } = {}, source = 'admin') {
+  const hash = hashContent(themes, levelPacks);
+  if (hash === currentHash) {
+    const current = contentByHash.get(hash);
+    return { success: true, published: false, version: current.version, hash };
+  }
+
+  const content = contentByHash.get(hash) || {
+    version: getVersionFor(hash),
+    hash,
+    publishedAt: Date.now(),
+    source,
+    themes,
+    levelPacks
+  };
+  contentByHash.set(hash, content);
+  currentHash = hash;
+
+  logger.game(`Published content version ${content.version} (${hash.slice(0, 14)}) from ${source}`);
+  saveContentSnapshot(content).catch(error => {
+    logger.error(`Failed to save content snapshot ${hash}:`, error);
+  });
+
+  return { success: true, published: true, version: content.version, hash };
+}
+
+/**
+ * Gets the content new rooms use, publishing the built-in defaults on first use
+ * @returns {GameContent} Current content
+ */
+export function getCurrentContent() {
+  if (!currentHash) {
+    publishContent({}, 'default');
+  }
+  return contentByHash.get(currentHash);
+}
+
+/**
+ * Gets a published content version by hash
+ * @param {string} hash - Content hash
+ * @returns {GameContent|null} Content, or null if it is not loaded
+ */
+export function getContent(hash) {
+  return contentByHash.get(hash) || null;
+}
+
+/**
+ * Lists published content versions, newest first
+ * @returns {Array<Object>} Version summaries (version, hash, publishedAt, source, current)
+ */
+export function listContentVersions() {
+  return [...contentByHash.values()]
+    .sort((a, b) => b.version - a.version)
+    .map(({ version, hash, publishedAt, source }) => ({
+      version,
+      hash,
+      publishedAt,
+      source,
+      current: hash === currentHash
+    }));
+}
+
+/**
+ * Writes a content snapshot to disk
+ * @param {GameContent} content - Published content
+ * @returns {Promise<string>} Path of the written file
+ */
+async function saveContentSnapshot(content) {
+  const dir = getContentDir();
+  const filePath = path.join(dir, `${content.hash}.json`);
+
+  await mkdir(dir, { recursive: true });
+  await writeFile(filePath, JSON.stringify(content, null, 2));
+  return filePath;
+}
+
+/**
+ * Loads a content snapshot from disk so games played on it can be replayed.
+ * The snapshot is registered but does not become the current content.
+ * @param {string} hash - Content hash
+ * @returns {Promise<GameContent>} Loaded content
+ */
+export async function loadContentSnapshot(hash) {
+  if (typeof hash !== 'string' || !CONTENT_HASH_PATTERN.test(hash)) {
+    throw new Error(`Invalid content hash: ${hash}`);
+  }
+
+  if (contentByHash.has(hash)) {
+    return contentByHash.get(hash);
+  }
+
+  const content = JSON.parse(await readFile(path.join(getContentDir(), `${hash}.json`), 'utf8'));
+  if (hashContent(content.themes, content.levelPacks) !== hash) {
+    throw new Error(`Content snapshot ${hash} does not match its hash`);
+  }
+
+  contentByHash.set(hash, content);
+  return content;
+}
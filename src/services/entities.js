@@ -0,0 +1,61 @@
+/**
+ * Moving entities of LockBlock chunks (enemies and moving platforms)
+ * Entities patrol back and forth between minX and maxX. Their position is a
+ * pure function of the chunk's entity clock, so it never drifts between the
+ * live game and a replay.
+ */
+import { POWER_UPS } from '../config/powerUps.js';
+
+// Entity clock units per simulation tick at normal speed
+export const ENTITY_CLOCK_RATE = 2;
+
+// Obstacle types that move
+const MOVING_TYPES = new Set(['enemy', 'moving_platform']);
+
+/**
+ * Gets how far the entity clock advances in one tick
+ * @param {Object<string, number>} activeEffects - Active power-up effects
+ * @returns {number} Clock units to advance
+ */
+export function getEntityClockStep(activeEffects) {
+  if (activeEffects.slow_time !== undefined) {
+    return ENTITY_CLOCK_RATE * POWER_UPS.slow_time.timeScale;
+  }
+  return ENTITY_CLOCK_RATE;
+}
+
+/**
+ * Gets the position of a patrolling entity at a point in time
+ * @param {Object} entity - Enemy or moving platform obstacle
+ * @param {number} clock - Entity clock of the chunk
+ * @returns {Object} Top-left corner in pixels ({ x, y })
+ */
+export function getEntityPosition(entity, clock) {
+  const range = entity.maxX - entity.minX;
+  if (range <= 0) {
+    return { x: entity.minX, y: entity.y };
+  }
+
+  const travelled = (entity.phase + Math.floor(entity.speed * clock / ENTITY_CLOCK_RATE)) % (2 * range);
+  const x = travelled <= range ? entity.minX + travelled : entity.minX + 2 * range - travelled;
+  return { x, y: entity.y };
+}
+
+/**
+ * Lists the moving entities of a chunk at their current positions
+ * @param {Object} chunk - Chunk with obstacles
+ * @param {number} clock - Entity clock of the chunk
+ * @param {string} [type] - Only return entities of this type
+ * @returns {Array<Object>} Entities with id, type, x, y, width and height
+ */
+export function getEntities(chunk, clock, type) {
+  return chunk.obstacles
+    .filter(obstacle => MOVING_TYPES.has(obstacle.type) && (!type || obstacle.type === type))
+    .map(obstacle => ({
+      id: obstacle.id,
+      type: obstacle.type,
+      ...getEntityPosition(obstacle, clock),
+      width: obstacle.width,
+      height: obstacle.height
+    }));
+}
@@ -0,0 +1,383 @@
+/**
+ * Game mode registry
+ * A game mode bundles everything the room manager and routes need to run a
+ * game: how to create it, validate and apply actions, detect its end, format
+ * it for clients and settle it. Rooms are created for a registered mode and
+ * only ever talk to their game through it.
+ */
+import {
+  createGame as createLockBlockGame,
+  processAction,
+  processTimeout,
+  pauseGame,
+  resumeGame,
+  abandonGame,
+  getNextDeadline,
+  formatGameState,
+  formatGameOverMessage
+} from './lockBlock.js';
+import * as ticTacToe from './ticTacToe.js';
+import {
+  createRace,
+  processRaceAction,
+  processRaceTimeout,
+  abandonRace,
+  getRaceDeadline,
+  formatRaceState,
+  formatRaceOverMessage
+} from './race.js';
+import { hasLevelPack } from './levelPacks.js';
+import { getRewardPool } from './rewardPool.js';
+import {
+  validateLockBlockRoomSettings,
+  validateLockBlockAction,
+  validateTicTacToeRoomSettings,
+  validateTicTacToeAction
+} from '../utils/validators.js';
+import { DEFAULT_DIFFICULTY, getDifficultyProfile } from '../config/difficulty.js';
+import { multiplyAmount } from '../utils/amounts.js';
+
+/**
+ * @typedef {Object} GameMode
+ * @property {string} id - Mode ID rooms are created with
+ * @property {string} name - Display name
+ * @property {number} minPlayers - Players needed before the game can start
+ * @property {number} maxPlayers - Seats in a room
+ * @property {boolean} stateDeltas - Whether clients get deltas after the first snapshot (else always snapshots)
+ * @property {boolean} replays - Whether finished games are recorded as replays
+ * @property {string} disconnectClock - What the game clock does while a player reconnects: 'pause' or 'run'
+ * @property {Function} createRoomSettings - (payload) => { success, entryDeposit, settings } or error
+ * @property {Function} createGame - (room, now) => game state
+ * @property {Function} validateAction - (action) => validation result
+ * @property {Function} applyAction - (gameState, action, playerEoa, now) => { success, gameState, events } or error
+ * @property {Function} checkEnd - (gameState) => { isGameOver, gameResult, winner }
+ * @property {Function} processAbandon - (gameState, playerEoa, now) => result like applyAction, ending the game
+ * @property {Function} formatState - (gameState, roomId, now, viewerEoa) => state for one client
+ * @property {Function} formatGameOver - (gameState) => game over message
+ * @property {Function} summarize - (gameState) => progress shown in room listings and recorded in app state updates
+ * @property {Function} computeSettlement - (room, gameState) => { allocations, rewardPool }
+ * @property {Function} [getNextDeadline] - (gameState) => timestamp the game times out at, or null
+ * @property {Function} [processTimeout] - (gameState, now) => result like applyAction
+ * @property {Function} [pauseGame] - (gameState, now) => result like applyAction; required for disconnectClock 'pause'
+ * @property {Function} [resumeGame] - (gameState, now) => result like applyAction; required for disconnectClock 'pause'
+ */
+
+// Game mode used when a room is created without one
+export const DEFAULT_GAME_MODE = 'lockblock';
+
+// Asset entry deposits are paid in when a room doesn't set one
+export const DEFAULT_ASSET = 'usdc';
+
+// Functions every mode must implement
+const REQUIRED_FUNCTIONS = [
+  'createRoomSettings',
+  'createGame',
+  'validateAction',
+  'applyAction',
+  'checkEnd',
+  'processAbandon',
+  'formatState',
+  'formatGameOver',
+  'summarize',
+  'computeSettlement'
+];
+
+// Registered game modes by ID
+const gameModes = new Map();
+
+/**
+ * Registers a game mode
+ * @param {GameMode} mode - Game mode
+ * @returns {GameMode} The registered mode
+ */
+export function registerGameMode(mode) {
+  if (!mode || typeof mode.id !== 'string' || mode.id.length === 0) {
+    throw new Error('Game mode must have an id');
+  }
+
+  for (const name of REQUIRED_FUNCTIONS) {
+    if (typeof mode[name] !== 'function') {
+      throw new Error(`Game mode ${mode.id} is missing ${name}()`);
+    }
+  }
+
+  if (!Number.isInteger(mode.minPlayers) || mode.minPlayers < 1 || mode.maxPlayers < mode.minPlayers) {
+    throw new Error(`Game mode ${mode.id} has an invalid player count`);
+  }
+
+  if (mode.disconnectClock === 'pause' && (typeof mode.pauseGame !== 'function' || typeof mode.resumeGame !== 'function')) {
+    throw new Error(`Game mode ${mode.id} pauses on disconnect but is missing pauseGame()/resumeGame()`);
+  } else if (!['pause', 'run'].includes(mode.disconnectClock)) {
+    throw new Error(`Game mode ${mode.id} has an invalid disconnectClock`);
+  }
+
+  gameModes.set(mode.id, mode);
+  return mode;
+}
+
+/**
+ * Checks whether a game mode is registered
+ * @param {string} id - Mode ID
+ * @returns {boolean} True if the mode exists
+ */
+export function hasGameMode(id) {
+  return gameModes.has(id);
+}
+
+/**
+ * Gets a registered game mode
+ * @param {string} id - Mode ID
+ * @returns {GameMode|null} Game mode, or null if unknown
+ */
+export function getGameMode(id) {
+  return gameModes.get(id) || null;
+}
+
+/**
+ * Lists the registered game modes
+ * @returns {Array<Object>} Mode summaries (id, name, minPlayers, maxPlayers)
+ */
+export function listGameModes() {
+  return [...gameModes.values()].map(({ id, name, minPlayers, maxPlayers }) => ({
+    id,
+    name,
+    minPlayers,
+    maxPlayers
+  }));
+}
+
+/**
+ * Gets what each app session participant locks when the game starts: every
+ * seated player locks the room's entry deposit. Single-player modes use a
+ * server counterparty as the second participant, which locks nothing.
+ * Settlements must allocate exactly this total.
+ * @param {Object} room - Room
+ * @returns {Array<string>} Amounts for [participant A, participant B, server]
+ */
+export function getLockedAllocations(room) {
+  return [room.entryDeposit, room.players[1] ? room.entryDeposit : '0', '0'];
+}
+
+/**
+ * Settles a two-player game where the winner takes both deposits and a draw
+ * refunds them. App session participants are [host, guest, server].
+ * @param {Object} room - Room
+ * @param {string|null} winner - Winner's address, or null for a draw
+ * @returns {Object} Settlement without reward pool changes
+ */
+function settleWinnerTakesAll(room, winner) {
+  const pot = multiplyAmount(room.entryDeposit, 2);
+  const allocations = winner === room.players[0] ? [pot, '0', '0']
+    : winner === room.players[1] ? ['0', pot, '0']
+    : [room.entryDeposit, room.entryDeposit, '0'];
+
+  return { allocations, rewardPool: null };
+}
+
+/**
+ * Validates LockBlock room settings shared by the solo and race modes and
+ * fills in their defaults
+ * @param {Object} payload - Join room payload
+ * @returns {Object} Result with the entry deposit and settings, or error
+ */
+function createLockBlockRoomSettings(payload) {
+  const validation = validateLockBlockRoomSettings(payload);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const difficulty = payload.difficulty || DEFAULT_DIFFICULTY;
+  const levelPack = payload.levelPack || null;
+  if (levelPack && !hasLevelPack(levelPack)) {
+    return { success: false, error: `Unknown level pack: ${levelPack}` };
+  }
+
+  return {
+    success: true,
+    entryDeposit: payload.entryDeposit || getDifficultyProfile(difficulty).defaultDeposit,
+    settings: { difficulty, levelPack }
+  };
+}
+
+/**
+ * LockBlock: single-player platformer against the reward pool. A win pays
+ * out the pool, a loss adds the entry deposit to it.
+ * @type {GameMode}
+ */
+export const lockBlockMode = registerGameMode({
+  id: 'lockblock',
+  name: 'LockBlock',
+  minPlayers: 1,
+  maxPlayers: 1,
+  stateDeltas: true,
+  replays: true,
+  disconnectClock: 'pause',
+
+  createRoomSettings: createLockBlockRoomSettings,
+
+  createGame(room, now) {
+    return createLockBlockGame(
+      room.players[0],
+      room.entryDeposit,
+      getRewardPool().totalAmount,
+      { ...room.settings, content: room.content, now }
+    );
+  },
+
+  validateAction: validateLockBlockAction,
+  applyAction: processAction,
+
+  checkEnd(gameState) {
+    return {
+      isGameOver: gameState.isGameOver,
+      gameResult: gameState.gameResult,
+      winner: gameState.gameResult === 'win' ? gameState.player.eoa : null
+    };
+  },
+
+  processAbandon(gameState, playerEoa, now) {
+    return abandonGame(gameState, now);
+  },
+
+  formatState: formatGameState,
+  formatGameOver: formatGameOverMessage,
+
+  summarize(gameState) {
+    return {
+      currentChunk: gameState.currentChunk,
+      playerScore: gameState.player.score,
+      playerLives: gameState.player.lives
+    };
+  },
+
+  computeSettlement(room, gameState) {
+    // App session participants: [player, server counterparty, server]
+    if (gameState.gameResult === 'win') {
+      return {
+        allocations: [room.entryDeposit, '0', '0'], // Player gets deposit back
+        rewardPool: { action: 'withdraw', eoa: room.players[0] }
+      };
+    }
+    return {
+      allocations: ['0', room.entryDeposit, '0'], // Server gets deposit for pool
+      rewardPool: { action: 'contribute', eoa: room.players[0], amount: room.entryDeposit }
+    };
+  },
+
+  getNextDeadline,
+  processTimeout,
+  pauseGame,
+  resumeGame
+});
+
+/**
+ * Tic Tac Toe: legacy 1-vs-1 mode. The winner takes both deposits, a draw
+ * refunds them; the reward pool is not involved.
+ * @type {GameMode}
+ */
+export const ticTacToeMode = registerGameMode({
+  id: 'tictactoe',
+  name: 'Tic Tac Toe',
+  minPlayers: 2,
+  maxPlayers: 2,
+  stateDeltas: false,
+  replays: false,
+  disconnectClock: 'run',
+
+  createRoomSettings(payload) {
+    const validation = validateTicTacToeRoomSettings(payload);
+    if (!validation.success) {
+      return validation;
+    }
+
+    return { success: true, entryDeposit: payload.entryDeposit || '0.01', settings: {} };
+  },
+
+  createGame(room) {
+    return ticTacToe.createGame(room.players[0], room.players[1]);
+  },
+
+  validateAction: validateTicTacToeAction,
+
+  applyAction(gameState, action, playerEoa) {
+    return ticTacToe.processMove(gameState, action.data.pos, playerEoa);
+  },
+
+  checkEnd(gameState) {
+    return {
+      isGameOver: gameState.isGameOver,
+      gameResult: gameState.gameResult,
+      winner: gameState.winner ? gameState.players[gameState.winner] : null
+    };
+  },
+
+  processAbandon(gameState, playerEoa) {
+    return ticTacToe.abandonGame(gameState, playerEoa);
+  },
+
+  formatState: ticTacToe.formatGameState,
+  formatGameOver: ticTacToe.formatGameOverMessage,
+
+  summarize(gameState) {
+    return {
+      nextTurn: gameState.nextTurn,
+      moves: gameState.board.filter(cell => cell !== null).length
+    };
+  },
+
+  computeSettlement(room, gameState) {
+    return settleWinnerTakesAll(room, gameState.winner ? gameState.players[gameState.winner] : null);
+  }
+});
+
+/**
+ * LockBlock race: two players race on the same seeded chunks. The first to
+ * complete all chunks (or the higher score when nobody does) takes both
+ * deposits; the reward pool is not involved.
+ * @type {GameMode}
+ */
+export const raceMode = registerGameMode({
+  id: 'race',
+  name: 'LockBlock Race',
+  minPlayers: 2,
+  maxPlayers: 2,
+  stateDeltas: true,
+  replays: true,
+  disconnectClock: 'run',
+
+  createRoomSettings: createLockBlockRoomSettings,
+
+  createGame(room, now) {
+    return createRace(room.players, room.entryDeposit, { ...room.settings, content: room.content, now });
+  },
+
+  validateAction: validateLockBlockAction,
+  applyAction: processRaceAction,
+
+  checkEnd(gameState) {
+    return {
+      isGameOver: gameState.isGameOver,
+      gameResult: gameState.gameResult,
+      winner: gameState.winner
+    };
+  },
+
+  processAbandon: abandonRace,
+
+  formatState: formatRaceState,
+  formatGameOver: formatRaceOverMessage,
+
+  summarize(gameState) {
+    return {
+      scores: Object.fromEntries(gameState.players.map(eoa => [eoa, gameState.runners[eoa].player.score])),
+      chunks: Object.fromEntries(gameState.players.map(eoa => [eoa, gameState.runners[eoa].currentChunk]))
+    };
+  },
+
+  computeSettlement(room, gameState) {
+    return settleWinnerTakesAll(room, gameState.winner);
+  },
+
+  getNextDeadline: getRaceDeadline,
+  processTimeout: processRaceTimeout
+});
@@ -11,10 +11,23 @@ export {
 } from './nitroliteRPC.js';
 
 
+// Wallet sign-in for WebSocket connections
+export {
+  createAuthChallenge,
+  verifyAuthChallenge,
+  resumeSession,
+  getAuthenticatedAddress,
+  clearAuthentication
+} from './auth.js';
+
 // App sessions for game rooms
 export {
   createAppSession,
   closeAppSession,
+  closeAppSessionWithRetry,
+  refundAppSession,
+  submitAppState,
+  discardPendingAppSession,
   getAppSession,
   hasAppSession,
   getAllAppSessions,
@@ -27,8 +40,42 @@ export {
 // Room management
 export { createRoomManager } from './roomManager.js';
 
+// Game modes
+export {
+  registerGameMode,
+  hasGameMode,
+  getGameMode,
+  listGameModes,
+  getLockedAllocations,
+  DEFAULT_GAME_MODE,
+  DEFAULT_ASSET
+} from './gameModes.js';
+
 // LockBlock game logic
-export { createGame, processAction, formatGameState, formatGameOverMessage } from './lockBlock.js';
+export {
+  createGame,
+  processAction,
+  processTimeout,
+  getTimeRemaining,
+  getNextDeadline,
+  formatGameState,
+  formatGameOverMessage
+} from './lockBlock.js';
+
+// Level packs loaded from JSON files
+export { loadLevelPacks, watchLevelPacks, hasLevelPack, getLevelPack, listLevelPacks } from './levelPacks.js';
+
+// Versioned game content
+export {
+  publishContent,
+  getCurrentContent,
+  getContent,
+  listContentVersions,
+  loadContentSnapshot
+} from './contentRegistry.js';
+
+// Replay recording and verification
+export { createReplayRecord, saveReplay, loadReplay, replayGame, computeActionLogRoot } from './replays.js';
 
 // Reward pool management
 export {
@@ -0,0 +1,484 @@
+/**
+ * Level packs for LockBlock
+ * Hand-made levels are loaded from JSON files, so level designers can ship
+ * content without a code change. A pack lists its chunks either inline or by
+ * the ID of a shared chunk template. Every load publishes a new content
+ * version (see contentRegistry.js) that applies to rooms created afterwards.
+ *
+ * Directory layout (LEVEL_PACK_DIR, default 'levels'):
+ *   levels/<pack>.json          - level packs
+ *   levels/chunks/<id>.json     - chunk templates referenced by packs
+ *   levels/themes/themes.json   - optional chunk themes for generated runs
+ */
+import { watch } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import { PHYSICS } from './physics.js';
+import { CHUNK_THEMES } from './chunkGenerator.js';
+import { publishContent, getCurrentContent } from './contentRegistry.js';
+import { SCORING_RULES } from '../config/scoring.js';
+import { POWER_UP_TYPES } from '../config/powerUps.js';
+
+// Load environment variables
+dotenv.config();
+
+const { TILE_SIZE, PLAYER_WIDTH, PLAYER_HEIGHT } = PHYSICS;
+
+// Characters allowed in a tile row
+const TILE_CHARACTERS = new Set(['.', '#', '=', '^']);
+
+// Entity types a chunk can define
+const ENTITY_TYPES = ['enemy', 'moving_platform'];
+
+// Pack and template IDs double as file names and room options
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Smallest chunk that still leaves room for a spawn and an exit
+const MIN_CHUNK_SIZE = 4;
+
+// Obstacle types the seeded generator can place
+const GENERATED_OBSTACLES = ['pit', 'spike', 'enemy', 'moving_platform'];
+
+// Narrowest generated chunk: the safe start and end zones plus one feature
+const MIN_THEME_WIDTH = 16;
+
+// Delay before reloading after the watched directory changes, in ms
+const WATCH_DEBOUNCE = 500;
+
+/**
+ * Gets the directory level packs are loaded from
+ * @returns {string} Level pack directory
+ */
+function getLevelPackDir() {
+  return process.env.LEVEL_PACK_DIR || 'levels';
+}
+
+/**
+ * Checks whether a value is an integer
+ * @param {*} value - Value to check
+ * @param {number} [min] - Smallest allowed value
+ * @returns {boolean} True if the value is an integer of at least `min`
+ */
+function isInteger(value, min = -Infinity) {
+  return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Checks that a point lies inside a chunk
+ * @param {*} point - Value to check
+ * @param {string} at - Path used in error messages
+ * @param {Object} bounds - Chunk size in pixels ({ width, height })
+ * @param {Array<string>} errors - Receives error messages
+ */
+function checkPoint(point, at, bounds, errors) {
+  if (!point || typeof point !== 'object') {
+    errors.push(`${at}: must be an object with x and y`);
+    return;
+  }
+  if (!isInteger(point.x, 0) || point.x > bounds.width - PLAYER_WIDTH) {
+    errors.push(`${at}.x: must be an integer between 0 and ${bounds.width - PLAYER_WIDTH}`);
+  }
+  if (!isInteger(point.y, 0) || point.y > bounds.height - PLAYER_HEIGHT) {
+    errors.push(`${at}.y: must be an integer between 0 and ${bounds.height - PLAYER_HEIGHT}`);
+  }
+}
+
+/**
+ * Checks that a rectangle lies inside a chunk
+ * @param {*} rect - Value to check
+ * @param {string} at - Path used in error messages
+ * @param {Object} bounds - Chunk size in pixels ({ width, height })
+ * @param {Array<string>} errors - Receives error messages
+ */
+function checkRect(rect, at, bounds, errors) {
+  if (!rect || typeof rect !== 'object') {
+    errors.push(`${at}: must be an object with x, y, width and height`);
+    return;
+  }
+  for (const key of ['x', 'y']) {
+    if (!isInteger(rect[key], 0)) errors.push(`${at}.${key}: must be a non-negative integer`);
+  }
+  for (const key of ['width', 'height']) {
+    if (!isInteger(rect[key], 1)) errors.push(`${at}.${key}: must be a positive integer`);
+  }
+  if (rect.x + rect.width > bounds.width || rect.y + rect.height > bounds.height) {
+    errors.push(`${at}: must lie inside the chunk (${bounds.width}x${bounds.height} px)`);
+  }
+}
+
+/**
+ * Validates an optional array field, calling `check` for each item
+ * @param {Object} chunk - Chunk template
+ * @param {string} key - Field name
+ * @param {string} at - Path of the chunk used in error messages
+ * @param {Array<string>} errors - Receives error messages
+ * @param {Function} check - Called with (item, path) for each item
+ */
+function checkList(chunk, key, at, errors, check) {
+  if (chunk[key] === undefined) return;
+  if (!Array.isArray(chunk[key])) {
+    errors.push(`${at}.${key}: must be an array`);
+    return;
+  }
+  chunk[key].forEach((item, index) => check(item ?? {}, `${at}.${key}[${index}]`));
+}
+
+/**
+ * Validates a chunk template
+ * @param {*} chunk - Parsed chunk template
+ * @param {string} [at='chunk'] - Path used in error messages
+ * @returns {Array<string>} Error messages, empty if the template is valid
+ */
+export function validateChunkTemplate(chunk, at = 'chunk') {
+  const errors = [];
+  if (!chunk || typeof chunk !== 'object' || Array.isArray(chunk)) {
+    return [`${at}: must be an object`];
+  }
+
+  if (typeof chunk.name !== 'string' || chunk.name.length === 0) {
+    errors.push(`${at}.name: must be a non-empty string`);
+  }
+  if (chunk.difficulty !== undefined && !isInteger(chunk.difficulty, 1)) {
+    errors.push(`${at}.difficulty: must be a positive integer`);
+  }
+
+  // Tiles define the size of the chunk, so stop early if they are unusable
+  const { tiles } = chunk;
+  if (!Array.isArray(tiles) || tiles.length < MIN_CHUNK_SIZE || !tiles.every(row => typeof row === 'string')) {
+    errors.push(`${at}.tiles: must be an array of at least ${MIN_CHUNK_SIZE} strings`);
+    return errors;
+  }
+  const width = tiles[0].length;
+  if (width < MIN_CHUNK_SIZE) {
+    errors.push(`${at}.tiles: rows must be at least ${MIN_CHUNK_SIZE} tiles wide`);
+    return errors;
+  }
+  tiles.forEach((row, index) => {
+    if (row.length !== width) {
+      errors.push(`${at}.tiles[${index}]: expected ${width} tiles, got ${row.length}`);
+    }
+    const invalid = [...row].find(tile => !TILE_CHARACTERS.has(tile));
+    if (invalid !== undefined) {
+      errors.push(`${at}.tiles[${index}]: unknown tile '${invalid}' (allowed: ${[...TILE_CHARACTERS].join(' ')})`);
+    }
+  });
+
+  const bounds = { width: width * TILE_SIZE, height: tiles.length * TILE_SIZE };
+  checkPoint(chunk.spawn, `${at}.spawn`, bounds, errors);
+  checkRect(chunk.exit, `${at}.exit`, bounds, errors);
+
+  checkList(chunk, 'obstacles', at, errors, (entity, entityAt) => {
+    if (!ENTITY_TYPES.includes(entity.type)) {
+      errors.push(`${entityAt}.type: must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+    if (!isInteger(entity.minX, 0) || !isInteger(entity.maxX, 0) || entity.minX > entity.maxX) {
+      errors.push(`${entityAt}: minX and maxX must be non-negative integers with minX <= maxX`);
+    } else {
+      // The far end of the patrol must still be inside the chunk
+      checkRect({ ...entity, x: entity.maxX }, entityAt, bounds, errors);
+    }
+    if (entity.speed !== undefined && !isInteger(entity.speed, 1)) {
+      errors.push(`${entityAt}.speed: must be a positive integer`);
+    }
+    if (entity.phase !== undefined && !isInteger(entity.phase, 0)) {
+      errors.push(`${entityAt}.phase: must be a non-negative integer`);
+    }
+  });
+
+  checkList(chunk, 'checkpoints', at, errors, (checkpoint, checkpointAt) => {
+    checkRect({ width: TILE_SIZE, height: 2 * TILE_SIZE, ...checkpoint }, checkpointAt, bounds, errors);
+    checkPoint(checkpoint.respawn, `${checkpointAt}.respawn`, bounds, errors);
+  });
+
+  checkList(chunk, 'collectibles', at, errors, (collectible, collectibleAt) => {
+    if (!Object.prototype.hasOwnProperty.call(SCORING_RULES.collectibles, collectible.type)) {
+      errors.push(`${collectibleAt}.type: must be one of: ${Object.keys(SCORING_RULES.collectibles).join(', ')}`);
+    }
+    if (collectible.type === 'powerup' && !POWER_UP_TYPES.includes(collectible.effect)) {
+      errors.push(`${collectibleAt}.effect: must be one of: ${POWER_UP_TYPES.join(', ')}`);
+    }
+    checkRect({ ...collectible, width: TILE_SIZE, height: TILE_SIZE }, collectibleAt, bounds, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a level pack and resolves its template references
+ * @param {*} pack - Parsed level pack
+ * @param {Map<string, Object>} [templates] - Chunk templates by ID
+ * @returns {Object} Result with the resolved pack or the list of errors
+ */
+export function validateLevelPack(pack, templates = new Map()) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return { success: false, errors: ['pack: must be an object'] };
+  }
+
+  const errors = [];
+  if (typeof pack.id !== 'string' || !ID_PATTERN.test(pack.id)) {
+    errors.push('id: must be lowercase letters, digits, dashes or underscores');
+  }
+  if (typeof pack.name !== 'string' || pack.name.length === 0) {
+    errors.push('name: must be a non-empty string');
+  }
+  if (pack.description !== undefined && typeof pack.description !== 'string') {
+    errors.push('description: must be a string');
+  }
+  if (!Array.isArray(pack.chunks) || pack.chunks.length === 0) {
+    errors.push('chunks: must be a non-empty array');
+    return { success: false, errors };
+  }
+
+  const chunks = pack.chunks.map((entry, index) => {
+    if (typeof entry !== 'string') {
+      errors.push(...validateChunkTemplate(entry, `chunks[${index}]`));
+      return entry;
+    }
+    if (!templates.has(entry)) {
+      errors.push(`chunks[${index}]: unknown chunk template '${entry}'`);
+    }
+    return templates.get(entry);
+  });
+
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+  return { success: true, pack: { ...pack, chunks } };
+}
+
+/**
+ * Validates the chunk themes used for generated runs
+ * @param {*} themes - Parsed themes file
+ * @returns {Array<string>} Error messages, empty if the themes are valid
+ */
+export function validateChunkThemes(themes) {
+  if (!Array.isArray(themes) || themes.length === 0) {
+    return ['themes: must be a non-empty array'];
+  }
+
+  const errors = [];
+  themes.forEach((theme, index) => {
+    const at = `themes[${index}]`;
+    if (!theme || typeof theme !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof theme.name !== 'string' || theme.name.length === 0) {
+      errors.push(`${at}.name: must be a non-empty string`);
+    }
+    if (!isInteger(theme.difficulty, 1)) {
+      errors.push(`${at}.difficulty: must be a positive integer`);
+    }
+    if (!isInteger(theme.width, MIN_THEME_WIDTH)) {
+      errors.push(`${at}.width: must be an integer of at least ${MIN_THEME_WIDTH}`);
+    }
+    if (!Array.isArray(theme.obstacles) || theme.obstacles.length === 0
+      || !theme.obstacles.every(type => GENERATED_OBSTACLES.includes(type))) {
+      errors.push(`${at}.obstacles: must be a non-empty array of: ${GENERATED_OBSTACLES.join(', ')}`);
+    }
+    const collectibleTypes = Object.keys(SCORING_RULES.collectibles);
+    if (!Array.isArray(theme.collectibles) || theme.collectibles.length === 0
+      || !theme.collectibles.every(type => collectibleTypes.includes(type))) {
+      errors.push(`${at}.collectibles: must be a non-empty array of: ${collectibleTypes.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Reads and parses every JSON file in a directory
+ * @param {string} dir - Directory to read
+ * @returns {Promise<Array<Object>>} Entries with file, data and parse error
+ */
+async function readJsonFiles(dir) {
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = names.filter(name => name.endsWith('.json')).sort();
+  return Promise.all(files.map(async (name) => {
+    const file = path.join(dir, name);
+    try {
+      return { file, data: JSON.parse(await readFile(file, 'utf8')) };
+    } catch (error) {
+      return { file, error: `invalid JSON: ${error.message}` };
+    }
+  }));
+}
+
+/**
+ * Reads chunk themes, chunk templates and level packs from disk. Broken
+ * files are rejected and logged; they never stop the other packs from loading.
+ * @param {string} dir - Level pack directory
+ * @returns {Promise<Object>} Themes, packs by ID, and the rejected files with their errors
+ */
+async function readLevelContent(dir) {
+  const rejected = [];
+  const reject = (file, errors) => {
+    rejected.push({ file, errors });
+    logger.error(`Rejected level file ${file}:\n  ${errors.join('\n  ')}`);
+  };
+
+  let themes = CHUNK_THEMES;
+  for (const { file, data, error } of await readJsonFiles(path.join(dir, 'themes'))) {
+    const errors = error ? [error] : validateChunkThemes(data);
+    if (errors.length > 0) {
+      reject(file, errors);
+    } else {
+      themes = data;
+    }
+  }
+
+  const templates = new Map();
+  for (const { file, data, error } of await readJsonFiles(path.join(dir, 'chunks'))) {
+    const id = path.basename(file, '.json');
+    const errors = error ? [error] : validateChunkTemplate(data, id);
+    if (errors.length > 0) {
+      reject(file, errors);
+    } else {
+      templates.set(id, data);
+    }
+  }
+
+  const levelPacks = {};
+  for (const { file, data, error } of await readJsonFiles(dir)) {
+    const result = error ? { success: false, errors: [error] } : validateLevelPack(data, templates);
+    if (!result.success) {
+      reject(file, result.errors);
+    } else if (levelPacks[result.pack.id]) {
+      reject(file, [`id: duplicate level pack '${result.pack.id}'`]);
+    } else {
+      levelPacks[result.pack.id] = result.pack;
+    }
+  }
+
+  return { themes, levelPacks, rejected };
+}
+
+/**
+ * Loads level content from disk and publishes it as the content version for
+ * new rooms. Running games keep the version they started with.
+ * @param {string} [dir] - Level pack directory (default: LEVEL_PACK_DIR or 'levels')
+ * @param {string} [source='load'] - What triggered the load, recorded with the version
+ * @returns {Promise<Object>} IDs of the loaded packs, rejected files, and the published version and hash
+ */
+export async function loadLevelPacks(dir = getLevelPackDir(), source = 'load') {
+  const { themes, levelPacks, rejected } = await readLevelContent(dir);
+  const loaded = Object.keys(levelPacks);
+  logger.game(`Loaded ${loaded.length} level pack(s) from ${dir}`);
+
+  const { published, version, hash } = publishContent({ themes, levelPacks }, source);
+  return { loaded, rejected, published, version, hash };
+}
+
+/**
+ * Watches the level pack directory and publishes a new content version
+ * whenever its files change
+ * @param {string} [dir] - Level pack directory (default: LEVEL_PACK_DIR or 'levels')
+ * @returns {Object} The fs watcher; call close() to stop watching
+ */
+export function watchLevelPacks(dir = getLevelPackDir()) {
+  let timer = null;
+
+  const watcher = watch(dir, { recursive: true }, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      loadLevelPacks(dir, 'watch').catch(error => {
+        logger.error(`Failed to reload level packs from ${dir}:`, error);
+      });
+    }, WATCH_DEBOUNCE);
+  });
+
+  logger.game(`Watching ${dir} for level pack changes`);
+  return watcher;
+}
+
+/**
+ * Checks whether a level pack exists in a content version
+ * @param {string} id - Level pack ID
+ * @param {Object} [content] - Content version (default: current content)
+ * @returns {boolean} True if the pack is available
+ */
+export function hasLevelPack(id, content = getCurrentContent()) {
+  return Object.prototype.hasOwnProperty.call(content.levelPacks, id);
+}
+
+/**
+ * Gets a level pack from a content version
+ * @param {string} id - Level pack ID
+ * @param {Object} [content] - Content version (default: current content)
+ * @returns {Object} Level pack with resolved chunks
+ */
+export function getLevelPack(id, content = getCurrentContent()) {
+  if (!hasLevelPack(id, content)) {
+    throw new Error(`Unknown level pack: ${id}`);
+  }
+  return content.levelPacks[id];
+}
+
+/**
+ * Lists the level packs of the current content
+ * @returns {Array<Object>} Pack summaries (id, name, description, chunkCount)
+ */
+export function listLevelPacks() {
+  return Object.values(getCurrentContent().levelPacks).map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    description: pack.description || '',
+    chunkCount: pack.chunks.length
+  }));
+}
+
+/**
+ * Builds the game chunks of a level pack, in the same shape the seeded
+ * generator produces
+ * @param {Object} pack - Level pack with resolved chunks
+ * @returns {Array<Object>} Array of chunk objects
+ */
+export function buildLevelPackChunks(pack) {
+  return pack.chunks.map((template, index) => ({
+    id: index,
+    name: template.name,
+    difficulty: template.difficulty ?? 1,
+    width: template.tiles[0].length,
+    height: template.tiles.length,
+    tiles: [...template.tiles],
+    spawn: { x: template.spawn.x, y: template.spawn.y },
+    exit: { ...template.exit },
+    obstacles: (template.obstacles || []).map((entity, n) => ({
+      id: `${index}-e${n}`,
+      type: entity.type,
+      x: entity.minX,
+      y: entity.y,
+      width: entity.width,
+      height: entity.height,
+      minX: entity.minX,
+      maxX: entity.maxX,
+      speed: entity.speed ?? 1,
+      phase: entity.phase ?? 0
+    })),
+    checkpoints: (template.checkpoints || []).map((checkpoint, n) => ({
+      id: `${index}-cp${n}`,
+      x: checkpoint.x,
+      y: checkpoint.y,
+      width: checkpoint.width ?? TILE_SIZE,
+      height: checkpoint.height ?? 2 * TILE_SIZE,
+      respawn: { x: checkpoint.respawn.x, y: checkpoint.respawn.y }
+    })),
+    collectibles: (template.collectibles || []).map((collectible, n) => ({
+      id: `${index}-${n}`,
+      type: collectible.type,
+      ...(collectible.type === 'powerup' && { effect: collectible.effect }),
+      x: collectible.x,
+      y: collectible.y,
+      collected: false
+    })),
+    completed: false
+  }));
+}
@@ -2,22 +2,80 @@
  * LockBlock game engine
  */
 import { ethers } from 'ethers';
+import {
+  PHYSICS,
+  createBody,
+  stepBody,
+  clampTicks,
+  ticksForDuration,
+  getTile,
+  getPlayerBounds,
+  getCoveredTiles,
+  isGrounded,
+  findSupportingPlatform,
+  landOnPlatforms,
+  overlaps
+} from './physics.js';
+import { generateChunks, generateSeed } from './chunkGenerator.js';
+import { getLevelPack, buildLevelPackChunks } from './levelPacks.js';
+import { getCurrentContent } from './contentRegistry.js';
+import { getEntities, getEntityClockStep } from './entities.js';
+import {
+  createScoreState,
+  scorePickup,
+  recordDamage,
+  scoreChunkCompletion,
+  scoreTimeBonus,
+  getScoreBreakdown
+} from './scoring.js';
+import { DEFAULT_DIFFICULTY, getDifficultyProfile } from '../config/difficulty.js';
+import { POWER_UPS } from '../config/powerUps.js';
+import { addAmounts } from '../utils/amounts.js';
+
+// Maximum distance in pixels between the player's and an item's centres for a pickup
+export const INTERACT_RANGE = 24;
+
+// Action types that advance the simulation by ticks
+const SIMULATED_ACTIONS = new Set(['move', 'jump', 'idle']);
 
 /**
  * @typedef {Object} GameState
  * @property {Object} player - Player information
  * @property {string} player.eoa - Player's Ethereum address
- * @property {Object} player.position - Player's current position
+ * @property {Object} player.position - Player's current position in pixels, relative to the current chunk
  * @property {number} player.position.x - X coordinate
- * @property {number} player.position.y - Y coordinate
+ * @property {number} player.position.y - Y coordinate (grows downwards)
+ * @property {Object} player.velocity - Player's velocity in pixels per tick
+ * @property {boolean} player.onGround - Whether the player is standing on solid ground
  * @property {number} player.lives - Remaining lives
  * @property {number} player.score - Current score
+ * @property {boolean} player.hasAirJumped - Whether the double jump was used since leaving the ground
+ * @property {string} difficulty - Difficulty profile name
+ * @property {number} seed - Seed the chunks were generated from
+ * @property {string|null} levelPack - Level pack the chunks come from, or null for generated chunks
+ * @property {Object} content - Content version the chunks were built from
+ * @property {number} content.version - Content version number
+ * @property {string} content.hash - Content hash, identifies the content snapshot
  * @property {Array<Object>} chunks - Game chunks/levels
  * @property {number} currentChunk - Current chunk index
+ * @property {Object|null} checkpoint - Last checkpoint reached in the current chunk, or null
+ * @property {number} checkpoint.chunk - Chunk index of the checkpoint
+ * @property {string} checkpoint.id - Checkpoint ID
+ * @property {Object} checkpoint.respawn - Position the player respawns at
+ * @property {Object<string, number>} activeEffects - Remaining ticks of each active power-up effect
+ * @property {number} entityClock - Clock driving the current chunk's enemies and moving platforms
+ * @property {Object} scoring - Score breakdown, combo and damage tracking (see scoring.js)
+ * @property {number} tick - Number of simulation ticks run so far
  * @property {boolean} isGameOver - Whether the game is over
  * @property {string|null} gameResult - 'win', 'lose', or null if game ongoing
  * @property {number} startTime - Game start timestamp
  * @property {number|null} endTime - Game end timestamp
+ * @property {Object} timeLimits - Time limits from the difficulty profile
+ * @property {number|null} timeLimits.run - Limit for the whole run in ms, or null
+ * @property {number|null} timeLimits.chunk - Limit per chunk in ms, or null
+ * @property {number} chunkStartTime - Timestamp the current chunk was entered (moved forward by pauses)
+ * @property {number|null} pausedAt - Timestamp the clocks were paused at, or null while running
+ * @property {number} pausedDuration - Total ms the run clock spent paused
  * @property {Object} rewardPool - Reward pool information
  * @property {string} rewardPool.totalAmount - Total pool amount in USDC
  * @property {string} entryDeposit - Entry deposit amount in USDC
@@ -28,25 +86,57 @@ import { ethers } from 'ethers';
  * @param {string} playerEoa - Player's Ethereum address
  * @param {string} entryDeposit - Entry deposit amount in USDC
  * @param {string} currentPoolAmount - Current reward pool amount
+ * @param {Object} [options] - Game options
+ * @param {number} [options.seed] - Chunk generation seed (random if omitted)
+ * @param {string} [options.difficulty] - Difficulty profile name (default: 'normal')
+ * @param {string} [options.levelPack] - Level pack to play instead of generated chunks
+ * @param {Object} [options.content] - Content version to build chunks from (default: current content)
+ * @param {number} [options.now] - Start timestamp (default: Date.now())
  * @returns {GameState} Initial game state
  */
-export function createGame(playerEoa, entryDeposit = '0.01', currentPoolAmount = '0') {
+export function createGame(playerEoa, entryDeposit = '0.01', currentPoolAmount = '0', options = {}) {
   // Format address to proper checksum format
   const formattedPlayerEoa = ethers.getAddress(playerEoa);
+  const seed = options.seed ?? generateSeed();
+  const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+  const profile = getDifficultyProfile(difficulty);
+  const content = options.content || getCurrentContent();
+  const levelPack = options.levelPack || null;
+  const chunks = levelPack
+    ? buildLevelPackChunks(getLevelPack(levelPack, content))
+    : generateChunks(seed, profile, content.themes);
+  const now = options.now ?? Date.now();
 
   return {
     player: {
       eoa: formattedPlayerEoa,
-      position: { x: 0, y: 0 },
-      lives: 3,
-      score: 0
+      ...createBody(chunks[0].spawn),
+      lives: profile.lives,
+      score: 0,
+      hasAirJumped: false
     },
-    chunks: generateInitialChunks(),
+    difficulty,
+    seed,
+    levelPack,
+    content: { version: content.version, hash: content.hash },
+    chunks,
     currentChunk: 0,
+    checkpoint: null,
+    activeEffects: {},
+    entityClock: 0,
+    scoring: createScoreState(),
+    tick: 0,
     isGameOver: false,
     gameResult: null,
-    startTime: Date.now(),
+    startTime: now,
     endTime: null,
+    timeLimits: {
+      run: profile.runTimeLimit,
+      chunk: profile.chunkTimeLimit
+    },
+    chunkStartTime: now,
+    pausedAt: null,
+    pausedDuration: 0,
     rewardPool: {
       totalAmount: currentPoolAmount
     },
@@ -58,12 +148,13 @@ export function createGame(playerEoa, entryDeposit = '0.01', currentPoolAmount =
  * Processes a player action in the game
  * @param {GameState} gameState - Current game state
  * @param {Object} action - Player action
- * @param {string} action.type - Action type ('move', 'jump', 'interact')
- * @param {Object} action.data - Action data (direction, position, etc.)
+ * @param {string} action.type - Action type ('move', 'jump', 'idle', 'interact')
+ * @param {Object} action.data - Action data (direction, ticks, etc.)
  * @param {string} playerEoa - Player's Ethereum address
- * @returns {Object} Result with updated game state or error
+ * @param {number} [now] - Timestamp the action is applied at (default: Date.now())
+ * @returns {Object} Result with updated game state and the events it produced, or error
  */
-export function processAction(gameState, action, playerEoa) {
+export function processAction(gameState, action, playerEoa, now = Date.now()) {
   // Format player address to proper checksum format
   const formattedPlayerEoa = ethers.getAddress(playerEoa);
 
@@ -77,191 +168,572 @@ export function processAction(gameState, action, playerEoa) {
     return { success: false, error: 'Not your game' };
   }
 
-  // Process the action based on type
+  if (gameState.pausedAt !== null) {
+    return { success: false, error: 'Game is paused' };
+  }
+
+  // An action arriving after a deadline ends the run instead of being applied
+  if (getExpiredTimeLimit(gameState, now)) {
+    return processTimeout(gameState, now);
+  }
+
+  // The simulation may only run as many ticks as server time allows, so
+  // sending actions faster than real time can't fast-forward the world
+  const availableTicks = getAvailableTicks(gameState, now);
+  if (SIMULATED_ACTIONS.has(action.type) && availableTicks < 1) {
+    return { success: false, error: 'No game time has elapsed since the last action' };
+  }
+
+  // Process the action based on type. Chunk completion and life loss are
+  // never requested by the client; the simulation reports them as events.
   let updatedGameState = { ...gameState };
+  const context = { events: [], now, availableTicks };
 
   switch (action.type) {
     case 'move':
-      updatedGameState = processMovement(updatedGameState, action.data);
+      updatedGameState = processMovement(updatedGameState, action.data, context);
       break;
     case 'jump':
-      updatedGameState = processJump(updatedGameState, action.data);
-      break;
-    case 'interact':
-      updatedGameState = processInteraction(updatedGameState, action.data);
+      updatedGameState = processJump(updatedGameState, action.data, context);
       break;
-    case 'complete_chunk':
-      updatedGameState = processChunkCompletion(updatedGameState);
+    case 'idle':
+      updatedGameState = processIdle(updatedGameState, action.data, context);
       break;
-    case 'lose_life':
-      updatedGameState = processLifeLoss(updatedGameState);
+    case 'interact': {
+      const interaction = validateInteraction(updatedGameState, action.data);
+      if (!interaction.success) {
+        return interaction;
+      }
+      updatedGameState = processInteraction(updatedGameState, interaction.collectible, context);
       break;
+    }
     default:
       return { success: false, error: 'Invalid action type' };
   }
 
   // Check for game over conditions
-  updatedGameState = checkGameOverConditions(updatedGameState);
+  updatedGameState = checkGameOverConditions(updatedGameState, context);
+
+  return {
+    success: true,
+    gameState: updatedGameState,
+    events: context.events
+  };
+}
+
+/**
+ * Gets how many ticks the simulation may still run: the ticks covered by the
+ * game time elapsed on the server (paused time excluded) minus the ticks
+ * already simulated
+ * @param {GameState} gameState - Current game state
+ * @param {number} now - Current timestamp
+ * @returns {number} Available ticks (0 when the simulation has caught up)
+ */
+function getAvailableTicks(gameState, now) {
+  const elapsed = now - gameState.startTime - gameState.pausedDuration;
+  return Math.max(0, ticksForDuration(elapsed) - gameState.tick);
+}
+
+/**
+ * Gets the time left on the run and chunk clocks
+ * @param {GameState} gameState - Current game state
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Remaining ms for `run` and `chunk`, null where there is no limit
+ */
+export function getTimeRemaining(gameState, now = Date.now()) {
+  const { run, chunk } = gameState.timeLimits;
+  const at = gameState.endTime ?? gameState.pausedAt ?? now;
+
+  return {
+    run: run === null ? null : Math.max(0, gameState.startTime + gameState.pausedDuration + run - at),
+    chunk: chunk === null ? null : Math.max(0, gameState.chunkStartTime + chunk - at)
+  };
+}
+
+/**
+ * Gets the timestamp of the next time limit that will expire
+ * @param {GameState} gameState - Current game state
+ * @returns {number|null} Deadline timestamp, or null for untimed, paused or finished games
+ */
+export function getNextDeadline(gameState) {
+  if (gameState.isGameOver || gameState.pausedAt !== null) {
+    return null;
+  }
+
+  const { run, chunk } = gameState.timeLimits;
+  const deadlines = [];
+  if (run !== null) deadlines.push(gameState.startTime + gameState.pausedDuration + run);
+  if (chunk !== null) deadlines.push(gameState.chunkStartTime + chunk);
+
+  return deadlines.length > 0 ? Math.min(...deadlines) : null;
+}
+
+/**
+ * Finds the time limit that has run out, if any
+ * @param {GameState} gameState - Current game state
+ * @param {number} now - Current timestamp
+ * @returns {string|null} 'run', 'chunk' or null
+ */
+function getExpiredTimeLimit(gameState, now) {
+  const remaining = getTimeRemaining(gameState, now);
+  if (remaining.run === 0) return 'run';
+  if (remaining.chunk === 0) return 'chunk';
+  return null;
+}
+
+/**
+ * Ends the game as lost if a time limit has run out. Called by the server
+ * timer so a silent client cannot keep a run open past its deadline.
+ * @param {GameState} gameState - Current game state
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the updated game state and its events, or error if no limit expired
+ */
+export function processTimeout(gameState, now = Date.now()) {
+  if (gameState.isGameOver) {
+    return { success: false, error: 'Game is already over' };
+  }
+
+  const limit = getExpiredTimeLimit(gameState, now);
+  if (!limit) {
+    return { success: false, error: 'No time limit has expired' };
+  }
 
   return {
     success: true,
-    gameState: updatedGameState
+    gameState: {
+      ...gameState,
+      isGameOver: true,
+      gameResult: 'lose',
+      endTime: now
+    },
+    events: [{ type: 'time_up', limit, chunk: gameState.currentChunk, tick: gameState.tick }]
   };
 }
 
 /**
- * Generates initial game chunks/levels
- * @returns {Array<Object>} Array of chunk objects
+ * Pauses the run and chunk clocks, e.g. while the player reconnects
+ * @param {GameState} gameState - Current game state
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the paused game state and its events, or error
  */
-function generateInitialChunks() {
-  return [
-    {
-      id: 0,
-      name: 'Tutorial Chunk',
-      difficulty: 1,
-      obstacles: ['pit', 'spike'],
-      collectibles: ['coin', 'powerup'],
-      completed: false
+export function pauseGame(gameState, now = Date.now()) {
+  if (gameState.isGameOver) {
+    return { success: false, error: 'Game is already over' };
+  }
+
+  if (gameState.pausedAt !== null) {
+    return { success: false, error: 'Game is already paused' };
+  }
+
+  return {
+    success: true,
+    gameState: { ...gameState, pausedAt: now },
+    events: [{ type: 'paused', tick: gameState.tick }]
+  };
+}
+
+/**
+ * Resumes the clocks of a paused game; the paused time does not count
+ * against its time limits
+ * @param {GameState} gameState - Current game state
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the resumed game state and its events, or error
+ */
+export function resumeGame(gameState, now = Date.now()) {
+  if (gameState.pausedAt === null) {
+    return { success: false, error: 'Game is not paused' };
+  }
+
+  const pausedFor = now - gameState.pausedAt;
+  return {
+    success: true,
+    gameState: {
+      ...gameState,
+      pausedAt: null,
+      pausedDuration: gameState.pausedDuration + pausedFor,
+      chunkStartTime: gameState.chunkStartTime + pausedFor
     },
-    {
-      id: 1,
-      name: 'Forest Chunk',
-      difficulty: 2,
-      obstacles: ['pit', 'spike', 'enemy'],
-      collectibles: ['coin', 'gem'],
-      completed: false
+    events: [{ type: 'resumed', pausedFor, tick: gameState.tick }]
+  };
+}
+
+/**
+ * Ends the game as lost because the player abandoned it (did not reconnect
+ * in time)
+ * @param {GameState} gameState - Current game state
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the finished game state and its events, or error
+ */
+export function abandonGame(gameState, now = Date.now()) {
+  if (gameState.isGameOver) {
+    return { success: false, error: 'Game is already over' };
+  }
+
+  // Time spent paused before abandoning doesn't count as played
+  const pausedFor = gameState.pausedAt === null ? 0 : now - gameState.pausedAt;
+  return {
+    success: true,
+    gameState: {
+      ...gameState,
+      isGameOver: true,
+      gameResult: 'lose',
+      pausedAt: null,
+      pausedDuration: gameState.pausedDuration + pausedFor,
+      endTime: now
     },
-    {
-      id: 2,
-      name: 'Mountain Chunk',
-      difficulty: 3,
-      obstacles: ['pit', 'spike', 'enemy', 'moving_platform'],
-      collectibles: ['coin', 'gem', 'treasure'],
-      completed: false
+    events: [{ type: 'abandoned', chunk: gameState.currentChunk, tick: gameState.tick }]
+  };
+}
+
+/**
+ * Converts a direction name into a horizontal input axis
+ * @param {string} [direction] - 'left', 'right' or undefined
+ * @returns {number} -1, 0 or 1
+ */
+function toHorizontalInput(direction) {
+  if (direction === 'left') return -1;
+  if (direction === 'right') return 1;
+  return 0;
+}
+
+/**
+ * Finds the hazard the player is touching, if any
+ * @param {Object} chunk - Current chunk
+ * @param {Object} position - Player position
+ * @param {Array<Object>} enemies - Enemies at their current positions
+ * @returns {string|null} 'pit', 'spike', 'enemy' or null
+ */
+function findHazard(chunk, position, enemies) {
+  const { TILE_SIZE } = PHYSICS;
+  const bounds = getPlayerBounds(position);
+
+  // Fully below the chunk means the player fell into a pit
+  if (bounds.y >= chunk.height * TILE_SIZE) {
+    return 'pit';
+  }
+
+  // Spikes only hurt on their lower, pointed half
+  for (const { col, row } of getCoveredTiles(bounds)) {
+    if (getTile(chunk, col, row) !== '^') continue;
+    const hitbox = { x: col * TILE_SIZE + 2, y: row * TILE_SIZE + TILE_SIZE / 2, width: TILE_SIZE - 4, height: TILE_SIZE / 2 };
+    if (overlaps(bounds, hitbox)) {
+      return 'spike';
     }
-  ];
+  }
+
+  if (enemies.some(enemy => overlaps(bounds, enemy))) {
+    return 'enemy';
+  }
+
+  return null;
 }
 
 /**
- * Processes player movement
+ * Runs the physics simulation for a number of ticks with a held input.
+ * Jump is only pressed on the first tick, so holding an action never
+ * produces more than one jump; with double jump active that first tick may
+ * also be in mid-air. Enemies and moving platforms advance with every tick,
+ * and a platform the player stands on carries them along. The held input
+ * ends early when the player dies or reaches the chunk exit.
  * @param {GameState} gameState - Current game state
- * @param {Object} moveData - Movement data (direction, distance)
+ * @param {Object} input - Input to hold
+ * @param {number} input.horizontal - Horizontal axis (-1, 0, 1)
+ * @param {boolean} input.jump - Whether the action starts with a jump
+ * @param {number} ticks - Number of ticks to simulate
+ * @param {Object} context - Action context
+ * @param {Array<Object>} context.events - Receives the events produced by the simulation
+ * @param {number} context.now - Timestamp the action is applied at
  * @returns {GameState} Updated game state
  */
-function processMovement(gameState, moveData) {
-  const { direction, distance = 1 } = moveData;
-  const newPosition = { ...gameState.player.position };
-
-  switch (direction) {
-    case 'left':
-      newPosition.x = Math.max(0, newPosition.x - distance);
-      break;
-    case 'right':
-      newPosition.x = newPosition.x + distance;
-      break;
-    case 'up':
-      newPosition.y = Math.max(0, newPosition.y - distance);
+function simulate(gameState, input, ticks, context) {
+  let updatedGameState = gameState;
+
+  for (let i = 0; i < ticks; i++) {
+    const chunk = updatedGameState.chunks[updatedGameState.currentChunk];
+    const { position, velocity, onGround, hasAirJumped } = updatedGameState.player;
+    const previous = { position, velocity, onGround };
+    const entityClock = updatedGameState.entityClock + getEntityClockStep(updatedGameState.activeEffects);
+
+    // Platforms move first so the player lands where they are after this tick
+    const platformsBefore = getEntities(chunk, updatedGameState.entityClock, 'moving_platform');
+    const platformsAfter = getEntities(chunk, entityClock, 'moving_platform');
+    const support = findSupportingPlatform(previous, platformsBefore);
+    const carry = support === -1 ? 0 : platformsAfter[support].x - platformsBefore[support].x;
+
+    const jump = input.jump && i === 0;
+    const airJump = jump && !hasAirJumped && updatedGameState.activeEffects.double_jump !== undefined
+      && !isGrounded(previous, chunk);
+    const body = landOnPlatforms(
+      previous,
+      stepBody(previous, { horizontal: input.horizontal, jump, airJump, carry }, chunk),
+      platformsAfter
+    );
+
+    updatedGameState = tickEffects({
+      ...updatedGameState,
+      tick: updatedGameState.tick + 1,
+      entityClock,
+      player: {
+        ...updatedGameState.player,
+        ...body,
+        hasAirJumped: !body.onGround && (hasAirJumped || airJump)
+      }
+    }, context);
+
+    const hazard = findHazard(chunk, body.position, getEntities(chunk, entityClock, 'enemy'));
+    if (hazard) {
+      updatedGameState = processLifeLoss(updatedGameState, hazard, context);
       break;
-    case 'down':
-      newPosition.y = newPosition.y + distance;
+    }
+
+    updatedGameState = processCheckpoints(updatedGameState, chunk, context);
+
+    if (overlaps(getPlayerBounds(body.position), chunk.exit)) {
+      context.events.push({ type: 'chunk_completed', chunk: updatedGameState.currentChunk, tick: updatedGameState.tick });
+      updatedGameState = processChunkCompletion(updatedGameState, context);
       break;
+    }
+  }
+
+  return updatedGameState;
+}
+
+/**
+ * Counts down active power-up effects by one tick and drops expired ones
+ * @param {GameState} gameState - Current game state
+ * @param {Object} context - Action context (events, now)
+ * @returns {GameState} Updated game state
+ */
+function tickEffects(gameState, context) {
+  const activeEffects = {};
+  for (const [effect, remaining] of Object.entries(gameState.activeEffects)) {
+    if (remaining > 1) {
+      activeEffects[effect] = remaining - 1;
+    } else {
+      context.events.push({ type: 'effect_expired', effect, tick: gameState.tick });
+    }
   }
 
+  return { ...gameState, activeEffects };
+}
+
+/**
+ * Records the checkpoint the player is touching as the new respawn point
+ * @param {GameState} gameState - Current game state
+ * @param {Object} chunk - Current chunk
+ * @param {Object} context - Action context (events, now)
+ * @returns {GameState} Updated game state
+ */
+function processCheckpoints(gameState, chunk, context) {
+  const bounds = getPlayerBounds(gameState.player.position);
+  const checkpoint = chunk.checkpoints.find(item => overlaps(bounds, item));
+
+  if (!checkpoint || gameState.checkpoint?.id === checkpoint.id) {
+    return gameState;
+  }
+
+  context.events.push({ type: 'checkpoint_reached', chunk: gameState.currentChunk, checkpoint: checkpoint.id, tick: gameState.tick });
+
   return {
     ...gameState,
-    player: {
-      ...gameState.player,
-      position: newPosition
+    checkpoint: {
+      chunk: gameState.currentChunk,
+      id: checkpoint.id,
+      respawn: checkpoint.respawn
     }
   };
 }
 
+/**
+ * Processes player movement
+ * @param {GameState} gameState - Current game state
+ * @param {Object} moveData - Movement data (direction, ticks)
+ * @param {Object} context - Action context (events, now, availableTicks)
+ * @returns {GameState} Updated game state
+ */
+function processMovement(gameState, moveData, context) {
+  const { direction, ticks } = moveData;
+
+  return simulate(gameState, { horizontal: toHorizontalInput(direction), jump: false }, clampTicks(ticks, context.availableTicks), context);
+}
+
 /**
  * Processes player jump action
  * @param {GameState} gameState - Current game state
- * @param {Object} jumpData - Jump data
+ * @param {Object} jumpData - Jump data (optional direction, ticks)
+ * @param {Object} context - Action context (events, now, availableTicks)
  * @returns {GameState} Updated game state
  */
-function processJump(gameState, jumpData) {
-  // For now, jumping is just a movement action
-  // In a real implementation, this would handle jump physics
-  return processMovement(gameState, { direction: 'up', distance: 2 });
+function processJump(gameState, jumpData = {}, context) {
+  const { direction, ticks } = jumpData;
+
+  // A jump only leaves the ground if the player is standing on it
+  return simulate(gameState, { horizontal: toHorizontalInput(direction), jump: true }, clampTicks(ticks, context.availableTicks), context);
 }
 
 /**
- * Processes player interaction with game objects
+ * Lets the simulation run without any input (falling, landing)
  * @param {GameState} gameState - Current game state
- * @param {Object} interactionData - Interaction data
+ * @param {Object} idleData - Idle data (ticks)
+ * @param {Object} context - Action context (events, now, availableTicks)
  * @returns {GameState} Updated game state
  */
-function processInteraction(gameState, interactionData) {
-  const { objectType, value = 10 } = interactionData;
-  let updatedGameState = { ...gameState };
+function processIdle(gameState, idleData = {}, context) {
+  return simulate(gameState, { horizontal: 0, jump: false }, clampTicks(idleData.ticks, context.availableTicks), context);
+}
 
-  switch (objectType) {
-    case 'coin':
-      updatedGameState.player.score += value;
-      break;
-    case 'gem':
-      updatedGameState.player.score += value * 2;
-      break;
-    case 'treasure':
-      updatedGameState.player.score += value * 5;
-      break;
-    case 'powerup':
-      // Add powerup logic here
-      updatedGameState.player.score += value;
-      break;
+/**
+ * Validates an interaction against the collectibles of the current chunk
+ * @param {GameState} gameState - Current game state
+ * @param {Object} interactionData - Interaction data
+ * @param {string} interactionData.entityId - ID of the collectible to pick up
+ * @returns {Object} Result with the collectible or an error
+ */
+function validateInteraction(gameState, interactionData = {}) {
+  const chunk = gameState.chunks[gameState.currentChunk];
+  const collectible = chunk.collectibles.find(item => item.id === interactionData.entityId);
+
+  if (!collectible) {
+    return { success: false, error: 'Collectible not found in current chunk' };
   }
 
-  return updatedGameState;
+  if (collectible.collected) {
+    return { success: false, error: 'Collectible already collected' };
+  }
+
+  const { TILE_SIZE, PLAYER_WIDTH, PLAYER_HEIGHT } = PHYSICS;
+  const { position } = gameState.player;
+  const dx = (position.x + PLAYER_WIDTH / 2) - (collectible.x + TILE_SIZE / 2);
+  const dy = (position.y + PLAYER_HEIGHT / 2) - (collectible.y + TILE_SIZE / 2);
+  if (dx * dx + dy * dy > INTERACT_RANGE * INTERACT_RANGE) {
+    return { success: false, error: 'Collectible out of range' };
+  }
+
+  return { success: true, collectible };
+}
+
+/**
+ * Processes player interaction with a validated collectible. Power-ups
+ * start (or refresh) their effect before the pickup is scored.
+ * @param {GameState} gameState - Current game state
+ * @param {Object} collectible - Collectible being picked up
+ * @param {Object} context - Action context (events, now)
+ * @returns {GameState} Updated game state
+ */
+function processInteraction(gameState, collectible, context) {
+  const updatedChunks = gameState.chunks.map((chunk, index) => {
+    if (index !== gameState.currentChunk) return chunk;
+    return {
+      ...chunk,
+      collectibles: chunk.collectibles.map(item =>
+        item.id === collectible.id ? { ...item, collected: true } : item
+      )
+    };
+  });
+
+  let updatedGameState = { ...gameState, chunks: updatedChunks };
+  if (collectible.type === 'powerup') {
+    updatedGameState = activateEffect(updatedGameState, collectible.effect, context);
+  }
+
+  return scorePickup(updatedGameState, collectible, context.events);
+}
+
+/**
+ * Starts a power-up effect, resetting its duration if it is already active
+ * @param {GameState} gameState - Current game state
+ * @param {string} effect - Power-up type
+ * @param {Object} context - Action context (events, now)
+ * @returns {GameState} Updated game state
+ */
+function activateEffect(gameState, effect, context) {
+  const { duration } = POWER_UPS[effect];
+  context.events.push({ type: 'effect_activated', effect, duration, tick: gameState.tick });
+
+  return {
+    ...gameState,
+    activeEffects: {
+      ...gameState.activeEffects,
+      [effect]: duration
+    }
+  };
 }
 
 /**
  * Processes chunk completion
  * @param {GameState} gameState - Current game state
+ * @param {Object} context - Action context; `now` starts the next chunk's clock
  * @returns {GameState} Updated game state
  */
-function processChunkCompletion(gameState) {
-  const updatedChunks = [...gameState.chunks];
-  updatedChunks[gameState.currentChunk].completed = true;
+function processChunkCompletion(gameState, context) {
+  const scoredGameState = scoreChunkCompletion(gameState, gameState.currentChunk, context.events);
+  const updatedChunks = gameState.chunks.map((chunk, index) =>
+    index === gameState.currentChunk ? { ...chunk, completed: true } : chunk
+  );
 
   const nextChunk = gameState.currentChunk + 1;
   const isGameComplete = nextChunk >= updatedChunks.length;
 
+  const nextChunkIndex = isGameComplete ? gameState.currentChunk : nextChunk;
+  const body = isGameComplete ? {} : { ...createBody(updatedChunks[nextChunkIndex].spawn), hasAirJumped: false };
+
   return {
-    ...gameState,
+    ...scoredGameState,
     chunks: updatedChunks,
-    currentChunk: isGameComplete ? gameState.currentChunk : nextChunk,
+    currentChunk: nextChunkIndex,
+    checkpoint: isGameComplete ? gameState.checkpoint : null,
+    entityClock: isGameComplete ? gameState.entityClock : 0,
+    chunkStartTime: context.now,
     player: {
-      ...gameState.player,
-      score: gameState.player.score + 100 // Bonus for completing chunk
+      ...scoredGameState.player,
+      ...body
     }
   };
 }
 
 /**
- * Processes life loss
+ * Processes a hit by a hazard. An active shield is used up instead of a
+ * life. Either way the player respawns at the last checkpoint reached in
+ * the current chunk, or at the chunk's spawn point if there is none.
  * @param {GameState} gameState - Current game state
+ * @param {string} cause - Hazard that hit the player ('pit', 'spike', 'enemy')
+ * @param {Object} context - Action context (events, now)
  * @returns {GameState} Updated game state
  */
-function processLifeLoss(gameState) {
+function processLifeLoss(gameState, cause, context) {
+  const respawn = gameState.checkpoint?.chunk === gameState.currentChunk
+    ? gameState.checkpoint.respawn
+    : gameState.chunks[gameState.currentChunk].spawn;
+  const { shield, ...remainingEffects } = gameState.activeEffects;
+  const isShielded = shield !== undefined;
+
+  context.events.push({
+    type: isShielded ? 'shield_used' : 'life_lost',
+    cause,
+    chunk: gameState.currentChunk,
+    tick: gameState.tick
+  });
+
   return {
-    ...gameState,
+    ...recordDamage(gameState),
+    activeEffects: remainingEffects,
     player: {
       ...gameState.player,
-      lives: Math.max(0, gameState.player.lives - 1),
-      position: { x: 0, y: 0 } // Reset position
+      lives: isShielded ? gameState.player.lives : Math.max(0, gameState.player.lives - 1),
+      ...createBody(respawn),
+      hasAirJumped: false
     }
   };
 }
 
 /**
- * Checks for game over conditions
+ * Checks for game over conditions. Winning a timed run awards a bonus for
+ * every full second left on the run clock.
  * @param {GameState} gameState - Current game state
+ * @param {Object} context - Action context (events, now)
  * @returns {GameState} Updated game state with game over status
  */
-function checkGameOverConditions(gameState) {
+function checkGameOverConditions(gameState, context) {
   let isGameOver = false;
   let gameResult = null;
 
@@ -278,30 +750,48 @@ function checkGameOverConditions(gameState) {
     gameResult = 'win';
   }
 
-  const endTime = isGameOver ? Date.now() : null;
-
-  return {
+  const endTime = isGameOver ? context.now : null;
+  let updatedGameState = {
     ...gameState,
     isGameOver,
     gameResult,
     endTime
   };
+
+  const { run } = getTimeRemaining(updatedGameState, context.now);
+  if (gameResult === 'win' && run !== null) {
+    updatedGameState = scoreTimeBonus(updatedGameState, run, context.events);
+  }
+
+  return updatedGameState;
 }
 
 /**
  * Formats game state for client consumption
  * @param {GameState} gameState - Current game state
  * @param {string} roomId - Room ID
+ * @param {number} [now] - Timestamp used for the remaining time (default: Date.now())
  * @returns {Object} Formatted game state for client
  */
-export function formatGameState(gameState, roomId) {
+export function formatGameState(gameState, roomId, now = Date.now()) {
   return {
     roomId,
     player: gameState.player,
+    difficulty: gameState.difficulty,
+    seed: gameState.seed,
+    levelPack: gameState.levelPack,
+    content: gameState.content,
     chunks: gameState.chunks,
     currentChunk: gameState.currentChunk,
+    checkpoint: gameState.checkpoint,
+    activeEffects: gameState.activeEffects,
+    entities: getEntities(gameState.chunks[gameState.currentChunk], gameState.entityClock),
+    tick: gameState.tick,
     isGameOver: gameState.isGameOver,
     gameResult: gameState.gameResult,
+    timeLimits: gameState.timeLimits,
+    timeRemaining: getTimeRemaining(gameState, now),
+    paused: gameState.pausedAt !== null,
     rewardPool: gameState.rewardPool,
     entryDeposit: gameState.entryDeposit
   };
@@ -331,9 +821,10 @@ export function formatGameOverMessage(gameState) {
   return {
     gameResult,
     playerScore: player.score,
+    scoreBreakdown: getScoreBreakdown(gameState),
     rewardAmount,
     poolChange,
     newPoolAmount: gameResult === 'win' ? '0' :
-                   (parseFloat(rewardPool.totalAmount) + parseFloat(entryDeposit)).toString()
+                   addAmounts(rewardPool.totalAmount, entryDeposit)
   };
 }
\ No newline at end of file
@@ -0,0 +1,301 @@
+/**
+ * LockBlock physics simulation
+ * Fixed-step, integer-only platformer physics so every server run of the
+ * same inputs produces exactly the same positions.
+ */
+
+/**
+ * Physics constants. Distances are in pixels, speeds in pixels per tick.
+ */
+export const PHYSICS = {
+  TICK_RATE: 30, // Ticks per second of game time
+  TILE_SIZE: 16,
+  PLAYER_WIDTH: 12,
+  PLAYER_HEIGHT: 14,
+  GRAVITY: 1,
+  MOVE_SPEED: 3,
+  JUMP_VELOCITY: -10,
+  MAX_FALL_SPEED: 12, // Must stay below TILE_SIZE so bodies cannot tunnel through tiles
+  DEFAULT_ACTION_TICKS: 6,
+  MAX_TICKS_PER_ACTION: 30
+};
+
+// Tiles the player collides with
+const SOLID_TILES = new Set(['#', '=']);
+
+/**
+ * @typedef {Object} Body
+ * @property {Object} position - Top-left corner in pixels
+ * @property {number} position.x - X coordinate
+ * @property {number} position.y - Y coordinate (grows downwards)
+ * @property {Object} velocity - Velocity in pixels per tick
+ * @property {number} velocity.x - Horizontal velocity
+ * @property {number} velocity.y - Vertical velocity
+ * @property {boolean} onGround - Whether the body is standing on a solid tile
+ */
+
+/**
+ * @typedef {Object} PhysicsInput
+ * @property {number} horizontal - -1 (left), 0 (none) or 1 (right)
+ * @property {boolean} jump - Whether jump is pressed on this tick
+ * @property {boolean} [airJump] - Whether the jump may start in mid-air (double jump)
+ * @property {number} [carry] - Extra horizontal pixels from a moving platform the body stands on
+ */
+
+/**
+ * Creates a body at rest at the given position
+ * @param {Object} position - Spawn position in pixels
+ * @returns {Body} New body
+ */
+export function createBody(position) {
+  return {
+    position: { x: position.x, y: position.y },
+    velocity: { x: 0, y: 0 },
+    onGround: false
+  };
+}
+
+/**
+ * Gets the player's bounding box at a position
+ * @param {Object} position - Top-left corner in pixels
+ * @returns {Object} Rectangle with x, y, width and height
+ */
+export function getPlayerBounds(position) {
+  return { x: position.x, y: position.y, width: PHYSICS.PLAYER_WIDTH, height: PHYSICS.PLAYER_HEIGHT };
+}
+
+/**
+ * Checks whether two rectangles overlap
+ * @param {Object} a - Rectangle with x, y, width and height
+ * @param {Object} b - Rectangle with x, y, width and height
+ * @returns {boolean} True if the rectangles share at least one pixel
+ */
+export function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width
+    && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Lists the tiles a rectangle covers
+ * @param {Object} rect - Rectangle with x, y, width and height
+ * @returns {Array<Object>} Tile coordinates ({ col, row })
+ */
+export function getCoveredTiles(rect) {
+  const { TILE_SIZE } = PHYSICS;
+  const tiles = [];
+  for (let row = Math.floor(rect.y / TILE_SIZE); row <= Math.floor((rect.y + rect.height - 1) / TILE_SIZE); row++) {
+    for (let col = Math.floor(rect.x / TILE_SIZE); col <= Math.floor((rect.x + rect.width - 1) / TILE_SIZE); col++) {
+      tiles.push({ col, row });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Clamps a client-requested tick count to the allowed range
+ * @param {number} [ticks] - Requested number of ticks
+ * @param {number} [available] - Ticks the server clock allows right now (default: MAX_TICKS_PER_ACTION)
+ * @returns {number} Tick count between 1 and the smaller of MAX_TICKS_PER_ACTION and available
+ */
+export function clampTicks(ticks, available = PHYSICS.MAX_TICKS_PER_ACTION) {
+  const requested = Number.isInteger(ticks) ? Math.max(1, ticks) : PHYSICS.DEFAULT_ACTION_TICKS;
+  return Math.min(PHYSICS.MAX_TICKS_PER_ACTION, available, requested);
+}
+
+/**
+ * Converts game time into the number of ticks it covers
+ * @param {number} ms - Elapsed game time in ms
+ * @returns {number} Whole ticks elapsed
+ */
+export function ticksForDuration(ms) {
+  return Math.floor(Math.max(0, ms) * PHYSICS.TICK_RATE / 1000);
+}
+
+/**
+ * Gets the tile character at a tile coordinate.
+ * Columns outside the chunk act as walls, rows outside the chunk are empty.
+ * @param {Object} chunk - Chunk with width, height and tiles
+ * @param {number} col - Tile column
+ * @param {number} row - Tile row
+ * @returns {string} Tile character
+ */
+export function getTile(chunk, col, row) {
+  if (col < 0 || col >= chunk.width) return '#';
+  if (row < 0 || row >= chunk.height) return '.';
+  return chunk.tiles[row][col];
+}
+
+/**
+ * Checks whether a tile is solid
+ * @param {Object} chunk - Chunk with tile geometry
+ * @param {number} col - Tile column
+ * @param {number} row - Tile row
+ * @returns {boolean} True if the tile blocks movement
+ */
+export function isSolidTile(chunk, col, row) {
+  return SOLID_TILES.has(getTile(chunk, col, row));
+}
+
+/**
+ * Checks whether any solid tile lies in a column between two rows
+ * @param {Object} chunk - Chunk with tile geometry
+ * @param {number} col - Tile column
+ * @param {number} top - Top pixel
+ * @param {number} bottom - Bottom pixel (inclusive)
+ * @returns {boolean} True if a solid tile is hit
+ */
+function columnBlocked(chunk, col, top, bottom) {
+  const { TILE_SIZE } = PHYSICS;
+  for (let row = Math.floor(top / TILE_SIZE); row <= Math.floor(bottom / TILE_SIZE); row++) {
+    if (isSolidTile(chunk, col, row)) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks whether any solid tile lies in a row between two columns
+ * @param {Object} chunk - Chunk with tile geometry
+ * @param {number} row - Tile row
+ * @param {number} left - Left pixel
+ * @param {number} right - Right pixel (inclusive)
+ * @returns {boolean} True if a solid tile is hit
+ */
+function rowBlocked(chunk, row, left, right) {
+  const { TILE_SIZE } = PHYSICS;
+  for (let col = Math.floor(left / TILE_SIZE); col <= Math.floor(right / TILE_SIZE); col++) {
+    if (isSolidTile(chunk, col, row)) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks whether a body at rest is standing on a solid tile, for bodies
+ * that have just been placed and have not been stepped yet
+ * @param {Object} chunk - Chunk with tile geometry
+ * @param {number} x - Body left pixel
+ * @param {number} y - Body top pixel
+ * @returns {boolean} True if the body's feet touch a solid tile
+ */
+function isStandingOnTile(chunk, x, y) {
+  const { TILE_SIZE, PLAYER_WIDTH, PLAYER_HEIGHT } = PHYSICS;
+  const feet = y + PLAYER_HEIGHT;
+  return feet % TILE_SIZE === 0 && rowBlocked(chunk, feet / TILE_SIZE, x, x + PLAYER_WIDTH - 1);
+}
+
+/**
+ * Checks whether a body can jump off the ground
+ * @param {Body} body - Body to check
+ * @param {Object} chunk - Chunk the body is in
+ * @returns {boolean} True if the body is on the ground
+ */
+export function isGrounded(body, chunk) {
+  return body.onGround || isStandingOnTile(chunk, body.position.x, body.position.y);
+}
+
+/**
+ * Advances a body by a single tick
+ * @param {Body} body - Current body
+ * @param {PhysicsInput} input - Input held during this tick
+ * @param {Object} chunk - Chunk the body is in
+ * @returns {Body} Body after the tick
+ */
+export function stepBody(body, input, chunk) {
+  const { TILE_SIZE, PLAYER_WIDTH, PLAYER_HEIGHT } = PHYSICS;
+  let { x, y } = body.position;
+  let vx = input.horizontal * PHYSICS.MOVE_SPEED + (input.carry || 0);
+  let vy = body.velocity.y;
+
+  if (input.jump && (input.airJump || isGrounded(body, chunk))) {
+    vy = PHYSICS.JUMP_VELOCITY;
+  }
+  vy = Math.min(vy + PHYSICS.GRAVITY, PHYSICS.MAX_FALL_SPEED);
+
+  // Resolve the horizontal axis first, against the leading edge only
+  if (vx !== 0) {
+    x += vx;
+    if (vx > 0) {
+      const col = Math.floor((x + PLAYER_WIDTH - 1) / TILE_SIZE);
+      if (columnBlocked(chunk, col, y, y + PLAYER_HEIGHT - 1)) {
+        x = col * TILE_SIZE - PLAYER_WIDTH;
+        vx = 0;
+      }
+    } else {
+      const col = Math.floor(x / TILE_SIZE);
+      if (columnBlocked(chunk, col, y, y + PLAYER_HEIGHT - 1)) {
+        x = (col + 1) * TILE_SIZE;
+        vx = 0;
+      }
+    }
+  }
+
+  // Then the vertical axis
+  let onGround = false;
+  y += vy;
+  if (vy > 0) {
+    const row = Math.floor((y + PLAYER_HEIGHT - 1) / TILE_SIZE);
+    if (rowBlocked(chunk, row, x, x + PLAYER_WIDTH - 1)) {
+      y = row * TILE_SIZE - PLAYER_HEIGHT;
+      vy = 0;
+      onGround = true;
+    }
+  } else if (vy < 0) {
+    const row = Math.floor(y / TILE_SIZE);
+    if (rowBlocked(chunk, row, x, x + PLAYER_WIDTH - 1)) {
+      y = (row + 1) * TILE_SIZE;
+      vy = 0;
+    }
+  }
+
+  return {
+    position: { x, y },
+    velocity: { x: vx, y: vy },
+    onGround
+  };
+}
+
+/**
+ * Finds the platform a body is standing on
+ * @param {Body} body - Body to check
+ * @param {Array<Object>} platforms - Platform rectangles
+ * @returns {number} Index of the supporting platform, or -1
+ */
+export function findSupportingPlatform(body, platforms) {
+  const { x, y } = body.position;
+  return platforms.findIndex(platform =>
+    y + PHYSICS.PLAYER_HEIGHT === platform.y
+    && x < platform.x + platform.width && platform.x < x + PHYSICS.PLAYER_WIDTH
+  );
+}
+
+/**
+ * Lands a falling body on top of one-way platforms. Platforms can be jumped
+ * through from below; only a body whose feet cross a platform's top edge
+ * during the tick is stopped.
+ * @param {Body} previous - Body before the tick
+ * @param {Body} body - Body after the tick
+ * @param {Array<Object>} platforms - Platform rectangles after the tick
+ * @returns {Body} Body after landing
+ */
+export function landOnPlatforms(previous, body, platforms) {
+  if (body.velocity.y < 0) {
+    return body;
+  }
+
+  const { PLAYER_WIDTH, PLAYER_HEIGHT } = PHYSICS;
+  const { x, y } = body.position;
+  const platform = platforms.find(rect =>
+    previous.position.y + PLAYER_HEIGHT <= rect.y
+    && y + PLAYER_HEIGHT >= rect.y
+    && x < rect.x + rect.width && rect.x < x + PLAYER_WIDTH
+  );
+
+  if (!platform) {
+    return body;
+  }
+
+  return {
+    position: { x, y: platform.y - PLAYER_HEIGHT },
+    velocity: { x: body.velocity.x, y: 0 },
+    onGround: true
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * Head-to-head race mode for LockBlock
+ * Every racer plays their own LockBlock run on the same seeded chunks at the
+ * same time. The first racer to complete all chunks wins; if nobody does
+ * (everyone is out, or the race clock runs out), the higher score wins.
+ */
+import { ethers } from 'ethers';
+import {
+  createGame,
+  processAction,
+  processTimeout,
+  abandonGame,
+  getNextDeadline,
+  formatGameState
+} from './lockBlock.js';
+import { generateSeed } from './chunkGenerator.js';
+import { getScoreBreakdown } from './scoring.js';
+import { DEFAULT_DIFFICULTY, getDifficultyProfile } from '../config/difficulty.js';
+
+// Race length in ms when the difficulty has no run time limit
+export const RACE_TIME_LIMIT = 300000;
+
+/**
+ * @typedef {Object} RaceState
+ * @property {Array<string>} players - Racers' Ethereum addresses in seat order
+ * @property {Object<string, Object>} runners - Each racer's LockBlock game state by address
+ * @property {number} seed - Seed shared by all runs
+ * @property {string} difficulty - Difficulty profile name
+ * @property {number} startTime - Race start timestamp
+ * @property {number} timeLimit - Race length in ms
+ * @property {boolean} isGameOver - Whether the race is over
+ * @property {string|null} gameResult - 'win', 'draw', or null while racing
+ * @property {string|null} winner - Winner's address, or null
+ * @property {string|null} endReason - 'finished', 'eliminated', 'time_up' or 'abandoned' once the race is over
+ * @property {number|null} endTime - Race end timestamp
+ */
+
+/**
+ * Creates a race between the given players
+ * @param {Array<string>} players - Racers' Ethereum addresses
+ * @param {string} entryDeposit - Entry deposit per racer in USDC
+ * @param {Object} [options] - Game options
+ * @param {number} [options.seed] - Chunk generation seed (random if omitted)
+ * @param {string} [options.difficulty] - Difficulty profile name (default: 'normal')
+ * @param {string} [options.levelPack] - Level pack to race on instead of generated chunks
+ * @param {Object} [options.content] - Content version to build chunks from
+ * @param {number} [options.now] - Start timestamp (default: Date.now())
+ * @returns {RaceState} Initial race state
+ */
+export function createRace(players, entryDeposit, options = {}) {
+  const seed = options.seed ?? generateSeed();
+  const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+  const now = options.now ?? Date.now();
+  const formattedPlayers = players.map(eoa => ethers.getAddress(eoa));
+
+  // The reward pool is not at stake in a race
+  const runners = Object.fromEntries(formattedPlayers.map(eoa => [
+    eoa,
+    createGame(eoa, entryDeposit, '0', { ...options, seed, difficulty, now })
+  ]));
+
+  return {
+    players: formattedPlayers,
+    runners,
+    seed,
+    difficulty,
+    startTime: now,
+    timeLimit: getDifficultyProfile(difficulty).runTimeLimit ?? RACE_TIME_LIMIT,
+    isGameOver: false,
+    gameResult: null,
+    winner: null,
+    endReason: null,
+    endTime: null
+  };
+}
+
+/**
+ * Ends the race with a winner, or a draw if winner is null
+ * @param {RaceState} race - Current race state
+ * @param {string|null} winner - Winner's address
+ * @param {string} reason - Why the race ended
+ * @param {number} now - Current timestamp
+ * @param {Array<Object>} events - Receives a race_over event
+ * @returns {RaceState} Finished race state
+ */
+function endRace(race, winner, reason, now, events) {
+  events.push({ type: 'race_over', winner, reason });
+  return {
+    ...race,
+    isGameOver: true,
+    gameResult: winner ? 'win' : 'draw',
+    winner,
+    endReason: reason,
+    endTime: now
+  };
+}
+
+/**
+ * Finds the racer with the highest score
+ * @param {RaceState} race - Current race state
+ * @returns {string|null} Leader's address, or null on a tie
+ */
+function findLeader(race) {
+  const scores = race.players.map(eoa => race.runners[eoa].player.score);
+  const best = Math.max(...scores);
+  const leaders = race.players.filter((eoa, index) => scores[index] === best);
+  return leaders.length === 1 ? leaders[0] : null;
+}
+
+/**
+ * Ends the race once a racer has completed all chunks or every racer is out
+ * @param {RaceState} race - Current race state
+ * @param {number} now - Current timestamp
+ * @param {Array<Object>} events - Receives a race_over event
+ * @returns {RaceState} Updated race state
+ */
+function checkRaceOver(race, now, events) {
+  const finisher = race.players.find(eoa => race.runners[eoa].gameResult === 'win');
+  if (finisher) {
+    return endRace(race, finisher, 'finished', now, events);
+  }
+
+  if (race.players.every(eoa => race.runners[eoa].isGameOver)) {
+    return endRace(race, findLeader(race), 'eliminated', now, events);
+  }
+
+  return race;
+}
+
+/**
+ * Applies a racer's action to their own run
+ * @param {RaceState} race - Current race state
+ * @param {Object} action - LockBlock action
+ * @param {string} playerEoa - Racer's Ethereum address
+ * @param {number} [now] - Timestamp the action is applied at (default: Date.now())
+ * @returns {Object} Result with updated race state and the events it produced, or error
+ */
+export function processRaceAction(race, action, playerEoa, now = Date.now()) {
+  const formattedPlayerEoa = ethers.getAddress(playerEoa);
+
+  if (race.isGameOver) {
+    return { success: false, error: 'Race is already over' };
+  }
+
+  const runner = race.runners[formattedPlayerEoa];
+  if (!runner) {
+    return { success: false, error: 'Not in this race' };
+  }
+
+  if (runner.isGameOver) {
+    return { success: false, error: 'You are out of the race' };
+  }
+
+  const result = processAction(runner, action, formattedPlayerEoa, now);
+  if (!result.success) {
+    return result;
+  }
+
+  const events = result.events.map(event => ({ ...event, player: formattedPlayerEoa }));
+  const updatedRace = {
+    ...race,
+    runners: { ...race.runners, [formattedPlayerEoa]: result.gameState }
+  };
+
+  return {
+    success: true,
+    gameState: checkRaceOver(updatedRace, now, events),
+    events
+  };
+}
+
+/**
+ * Gets the timestamp of the next deadline: a racer's time limit or the end
+ * of the race clock
+ * @param {RaceState} race - Current race state
+ * @returns {number|null} Deadline timestamp, or null once the race is over
+ */
+export function getRaceDeadline(race) {
+  if (race.isGameOver) {
+    return null;
+  }
+
+  const deadlines = race.players
+    .map(eoa => getNextDeadline(race.runners[eoa]))
+    .filter(deadline => deadline !== null);
+
+  return Math.min(race.startTime + race.timeLimit, ...deadlines);
+}
+
+/**
+ * Knocks out racers whose time limit expired and ends the race by score
+ * when the race clock runs out
+ * @param {RaceState} race - Current race state
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the updated race state and its events, or error if no limit expired
+ */
+export function processRaceTimeout(race, now = Date.now()) {
+  if (race.isGameOver) {
+    return { success: false, error: 'Race is already over' };
+  }
+
+  const events = [];
+  const runners = { ...race.runners };
+  for (const eoa of race.players) {
+    const result = processTimeout(runners[eoa], now);
+    if (result.success) {
+      runners[eoa] = result.gameState;
+      events.push(...result.events.map(event => ({ ...event, player: eoa })));
+    }
+  }
+
+  let updatedRace = { ...race, runners };
+  if (now >= race.startTime + race.timeLimit) {
+    updatedRace = endRace(updatedRace, findLeader(updatedRace), 'time_up', now, events);
+  } else if (events.length > 0) {
+    updatedRace = checkRaceOver(updatedRace, now, events);
+  } else {
+    return { success: false, error: 'No time limit has expired' };
+  }
+
+  return { success: true, gameState: updatedRace, events };
+}
+
+/**
+ * Ends the race because a racer abandoned it. A racer still running wins;
+ * if everyone else is already out, the higher score wins as in a normal
+ * finish (the abandoner's score included)
+ * @param {RaceState} race - Current race state
+ * @param {string} playerEoa - Address of the racer who abandoned
+ * @param {number} [now] - Current timestamp (default: Date.now())
+ * @returns {Object} Result with the finished race state and its events, or error
+ */
+export function abandonRace(race, playerEoa, now = Date.now()) {
+  const formattedPlayerEoa = ethers.getAddress(playerEoa);
+
+  if (race.isGameOver) {
+    return { success: false, error: 'Race is already over' };
+  }
+
+  const runner = race.runners[formattedPlayerEoa];
+  const events = [];
+  const runners = { ...race.runners };
+  if (!runner.isGameOver) {
+    const result = abandonGame(runner, now);
+    runners[formattedPlayerEoa] = result.gameState;
+    events.push(...result.events.map(event => ({ ...event, player: formattedPlayerEoa })));
+  }
+
+  const abandonedRace = { ...race, runners };
+  const stillRunning = race.players.filter(eoa => eoa !== formattedPlayerEoa && !runners[eoa].isGameOver);
+  const winner = findLeader(stillRunning.length > 0 ? { ...abandonedRace, players: stillRunning } : abandonedRace);
+  return {
+    success: true,
+    gameState: endRace(abandonedRace, winner, 'abandoned', now, events),
+    events
+  };
+}
+
+/**
+ * Summarises a racer's run for the other racers
+ * @param {Object} runner - Racer's LockBlock game state
+ * @returns {Object} Ghost with position, progress and score
+ */
+function toGhost(runner) {
+  return {
+    eoa: runner.player.eoa,
+    position: runner.player.position,
+    currentChunk: runner.currentChunk,
+    score: runner.player.score,
+    lives: runner.player.lives,
+    isOut: runner.isGameOver && runner.gameResult !== 'win',
+    isFinished: runner.gameResult === 'win'
+  };
+}
+
+/**
+ * Formats the race for one viewer: their own run in full (same shape as a
+ * LockBlock state), the other racers as ghosts, and the race status.
+ * Viewers who are not racing follow the first racer.
+ * @param {RaceState} race - Current race state
+ * @param {string} roomId - Room ID
+ * @param {number} [now] - Timestamp used for the remaining time (default: Date.now())
+ * @param {string} [viewerEoa] - Address of the client the state is for
+ * @returns {Object} Formatted race state for the viewer
+ */
+export function formatRaceState(race, roomId, now = Date.now(), viewerEoa) {
+  const self = race.runners[viewerEoa] ? viewerEoa : race.players[0];
+  const raceEnd = race.endTime ?? now;
+
+  return {
+    ...formatGameState(race.runners[self], roomId, now),
+    ghosts: race.players.filter(eoa => eoa !== self).map(eoa => toGhost(race.runners[eoa])),
+    race: {
+      players: race.players,
+      isGameOver: race.isGameOver,
+      gameResult: race.gameResult,
+      winner: race.winner,
+      endReason: race.endReason,
+      timeRemaining: Math.max(0, race.startTime + race.timeLimit - raceEnd)
+    }
+  };
+}
+
+/**
+ * Formats the race over message
+ * @param {RaceState} race - Finished race state
+ * @returns {Object} Game over message with every racer's result
+ */
+export function formatRaceOverMessage(race) {
+  return {
+    gameResult: race.gameResult,
+    winner: race.winner,
+    endReason: race.endReason,
+    results: race.players.map(eoa => {
+      const runner = race.runners[eoa];
+      return {
+        eoa,
+        finished: runner.gameResult === 'win',
+        currentChunk: runner.currentChunk,
+        score: runner.player.score,
+        scoreBreakdown: getScoreBreakdown(runner)
+      };
+    })
+  };
+}
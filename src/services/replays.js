@@ -0,0 +1,307 @@
+/**
+ * Replay recording and verification for LockBlock games and races
+ * Every finished game is persisted with its seed, action log and result so
+ * disputed payouts can be re-run and audited offline.
+ */
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import logger from '../utils/logger.js';
+import {
+  createGame,
+  processAction,
+  processTimeout,
+  pauseGame,
+  resumeGame,
+  abandonGame
+} from './lockBlock.js';
+import { createRace, processRaceAction, processRaceTimeout, abandonRace } from './race.js';
+import { getContent } from './contentRegistry.js';
+
+// Load environment variables
+dotenv.config();
+
+// Actions the server applies on its own, logged with a null clientSeq
+const SERVER_ACTIONS = {
+  timeout: processTimeout,
+  pause: pauseGame,
+  resume: resumeGame,
+  abandon: abandonGame
+};
+
+// Races have no pause; an abandon concerns the racer the entry names
+const RACE_SERVER_ACTIONS = {
+  timeout: processRaceTimeout,
+  abandon: (race, now, playerEoa) => abandonRace(race, playerEoa, now)
+};
+
+/**
+ * @typedef {Object} ActionLogEntry
+ * @property {number} seq - Server sequence number (1-based, no gaps)
+ * @property {number|null} clientSeq - Client input sequence number, null for server-side actions
+ * @property {string} [player] - Address of the player who sent the action, or whose disconnect caused it (absent for timeouts)
+ * @property {number} timestamp - Server timestamp when the action was accepted
+ * @property {Object} action - The action as applied to the game; server-side actions are
+ *   { type: 'timeout' } (a time limit ended it), 'pause' and 'resume' (the player
+ *   disconnected and came back) or 'abandon' (the player did not come back in time)
+ * @property {Array<Object>} events - Events the action produced (including checkpoints reached)
+ */
+
+/**
+ * @typedef {Object} ReplayRecord
+ * @property {string} roomId - Room the game was played in
+ * @property {string} mode - Game mode: 'lockblock' or 'race' (records without one are LockBlock games)
+ * @property {number} seed - Chunk generation seed
+ * @property {string} difficulty - Difficulty profile name
+ * @property {string|null} levelPack - Level pack played, or null for generated chunks
+ * @property {Object} content - Content version played ({ version, hash })
+ * @property {string} [playerEoa] - Player's Ethereum address (LockBlock)
+ * @property {Array<string>} [players] - Racers' Ethereum addresses in seat order (race)
+ * @property {string} entryDeposit - Entry deposit in USDC
+ * @property {number} startTime - Game start timestamp
+ * @property {number|null} endTime - Game end timestamp
+ * @property {Object} result - Final result: gameResult ('win', 'lose' or null), score and
+ *   checkpoint (last checkpoint reached) for LockBlock; gameResult ('win' or 'draw'), winner,
+ *   endReason and every racer's score for a race
+ * @property {Array<ActionLogEntry>} actions - Accepted actions in order
+ */
+
+/**
+ * Gets the directory replays are written to
+ * @returns {string} Replay directory
+ */
+function getReplayDir() {
+  return process.env.REPLAY_DIR || 'replays';
+}
+
+/**
+ * Summarises the outcome of a game for recording and comparison
+ * @param {Object} gameState - Game state
+ * @returns {Object} Game result, score and last checkpoint reached
+ */
+function summarizeResult(gameState) {
+  return {
+    gameResult: gameState.gameResult,
+    score: gameState.player.score,
+    checkpoint: gameState.checkpoint?.id ?? null
+  };
+}
+
+/**
+ * Summarises the outcome of a race for recording and comparison
+ * @param {Object} race - Race state
+ * @returns {Object} Race result, winner, end reason and every racer's score
+ */
+function summarizeRaceResult(race) {
+  return {
+    gameResult: race.gameResult,
+    winner: race.winner,
+    endReason: race.endReason,
+    scores: Object.fromEntries(race.players.map(eoa => [eoa, race.runners[eoa].player.score]))
+  };
+}
+
+/**
+ * Builds the replay record of a game
+ * @param {string} roomId - Room ID
+ * @param {Object} gameState - Final game state
+ * @param {Array<ActionLogEntry>} actionLog - Accepted actions
+ * @param {string} [mode] - Game mode the game was played in (default: 'lockblock')
+ * @returns {ReplayRecord} Replay record
+ */
+export function createReplayRecord(roomId, gameState, actionLog, mode = 'lockblock') {
+  if (mode === 'race') {
+    // Every run shares the race's seed and content
+    const { levelPack, content, entryDeposit } = gameState.runners[gameState.players[0]];
+    return {
+      roomId,
+      mode,
+      seed: gameState.seed,
+      difficulty: gameState.difficulty,
+      levelPack,
+      content,
+      players: gameState.players,
+      entryDeposit,
+      startTime: gameState.startTime,
+      endTime: gameState.endTime,
+      result: summarizeRaceResult(gameState),
+      actions: actionLog
+    };
+  }
+
+  return {
+    roomId,
+    mode,
+    seed: gameState.seed,
+    difficulty: gameState.difficulty,
+    levelPack: gameState.levelPack,
+    content: gameState.content,
+    playerEoa: gameState.player.eoa,
+    entryDeposit: gameState.entryDeposit,
+    startTime: gameState.startTime,
+    endTime: gameState.endTime,
+    result: summarizeResult(gameState),
+    actions: actionLog
+  };
+}
+
+/**
+ * Computes the Merkle root of an action log, so a signed app state can commit
+ * to every action accepted so far. Leaves are the keccak256 hashes of the
+ * JSON-encoded entries; pairs are hashed together and an odd last node is
+ * carried up unchanged.
+ * @param {Array<ActionLogEntry>} actionLog - Accepted actions in order
+ * @returns {string} Hex root, or the zero hash for an empty log
+ */
+export function computeActionLogRoot(actionLog) {
+  if (actionLog.length === 0) {
+    return ethers.ZeroHash;
+  }
+
+  let level = actionLog.map(entry => ethers.id(JSON.stringify(entry)));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? ethers.keccak256(ethers.concat([level[i], level[i + 1]])) : level[i]);
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * Persists a replay record as JSON
+ * @param {ReplayRecord} record - Replay record
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function saveReplay(record) {
+  const dir = getReplayDir();
+  const filePath = path.join(dir, `${record.endTime || Date.now()}-${record.roomId}.json`);
+
+  await mkdir(dir, { recursive: true });
+  await writeFile(filePath, JSON.stringify(record, null, 2));
+
+  logger.game(`Saved replay for room ${record.roomId} to ${filePath}`);
+  return filePath;
+}
+
+/**
+ * Loads a replay record from disk
+ * @param {string} filePath - Path of the replay file
+ * @returns {Promise<ReplayRecord>} Replay record
+ */
+export async function loadReplay(filePath) {
+  return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+/**
+ * Re-runs a race's action log: each racer's actions are applied to their own
+ * run, and timeouts and abandons to the race
+ * @param {number} seed - Chunk generation seed
+ * @param {ReplayRecord} log - Race replay record
+ * @param {Object} content - Content the race was played on
+ * @returns {Object} Verification result like replayGame
+ */
+function replayRace(seed, log, content) {
+  return rerun(log, {
+    gameState: createRace(log.players, log.entryDeposit, {
+      seed,
+      difficulty: log.difficulty,
+      levelPack: log.levelPack,
+      content,
+      now: log.startTime
+    }),
+    serverActions: RACE_SERVER_ACTIONS,
+    applyAction: (race, entry) => processRaceAction(race, entry.action, entry.player, entry.timestamp),
+    summarize: summarizeRaceResult,
+    matches: (replayed, expected) => JSON.stringify(replayed) === JSON.stringify(expected)
+  });
+}
+
+/**
+ * Applies every logged action in order and compares the outcome with the
+ * recorded one
+ * @param {ReplayRecord} log - Replay record
+ * @param {Object} engine - Initial game state, serverActions, applyAction(gameState, entry),
+ *   summarize(gameState) and matches(replayed, expected)
+ * @returns {Object} Verification result like replayGame
+ */
+function rerun(log, { gameState, serverActions, applyAction, summarize, matches }) {
+  // Timestamps are replayed too, since time limits and the time bonus depend on them
+  for (const entry of log.actions) {
+    const serverAction = entry.clientSeq === null && serverActions[entry.action.type];
+    const result = serverAction
+      ? serverAction(gameState, entry.timestamp, entry.player)
+      : applyAction(gameState, entry);
+    if (!result.success) {
+      return {
+        success: false,
+        verified: false,
+        error: `Action ${entry.seq} was rejected on replay: ${result.error}`
+      };
+    }
+    gameState = result.gameState;
+
+    // Events must match too, otherwise the run diverged even if the end result agrees
+    if (JSON.stringify(result.events) !== JSON.stringify(entry.events)) {
+      return {
+        success: true,
+        verified: false,
+        divergedAt: entry.seq,
+        replayed: summarize(gameState),
+        expected: log.result,
+        gameState
+      };
+    }
+  }
+
+  const replayed = summarize(gameState);
+  return {
+    success: true,
+    verified: matches(replayed, log.result),
+    replayed,
+    expected: log.result,
+    gameState
+  };
+}
+
+/**
+ * Re-runs an action log through the game engine and checks that it
+ * reproduces the recorded final score and result
+ * @param {number} seed - Chunk generation seed
+ * @param {Object} log - Replay record (see ReplayRecord); only mode, playerEoa or
+ *   players, difficulty, levelPack, content, entryDeposit, startTime, actions and
+ *   result are used. The content version must be loaded (see loadContentSnapshot).
+ * @returns {Object} Verification result with the replayed and expected outcome
+ */
+export function replayGame(seed, log) {
+  const content = getContent(log.content.hash);
+  if (!content) {
+    return {
+      success: false,
+      verified: false,
+      error: `Content version ${log.content.version} (${log.content.hash}) is not loaded`
+    };
+  }
+
+  if (log.mode === 'race') {
+    return replayRace(seed, log, content);
+  }
+
+  return rerun(log, {
+    gameState: createGame(log.playerEoa, log.entryDeposit, '0', {
+      seed,
+      difficulty: log.difficulty,
+      levelPack: log.levelPack,
+      content,
+      now: log.startTime
+    }),
+    serverActions: SERVER_ACTIONS,
+    applyAction: (gameState, entry) => processAction(gameState, entry.action, log.playerEoa, entry.timestamp),
+    summarize: summarizeResult,
+    matches: (replayed, expected) => replayed.gameResult === expected.gameResult
+      && replayed.score === expected.score
+      && replayed.checkpoint === expected.checkpoint
+  });
+}
@@ -5,6 +5,7 @@
 
 import { ethers } from 'ethers';
 import logger from '../utils/logger.js';
+import { addAmounts } from '../utils/amounts.js';
 
 // Global reward pool state
 let globalRewardPool = {
@@ -12,6 +13,7 @@ let globalRewardPool = {
   totalGames: 0,
   totalWins: 0,
   totalLosses: 0,
+  totalAbandoned: 0, // Losses where the player disconnected and never came back
   lastUpdated: Date.now()
 };
 
@@ -27,19 +29,21 @@ export function getRewardPool() {
  * Adds funds to the reward pool (when player loses)
  * @param {string} amount - Amount to add in USDC
  * @param {string} playerEoa - Player's Ethereum address
+ * @param {Object} [options] - Loss details
+ * @param {boolean} [options.abandoned=false] - Whether the player lost by abandoning the game
  * @returns {Object} Updated pool information
  */
-export function addToRewardPool(amount, playerEoa) {
+export function addToRewardPool(amount, playerEoa, { abandoned = false } = {}) {
   try {
-    const currentAmount = parseFloat(globalRewardPool.totalAmount);
-    const addAmount = parseFloat(amount);
-    
-    globalRewardPool.totalAmount = (currentAmount + addAmount).toString();
+    globalRewardPool.totalAmount = addAmounts(globalRewardPool.totalAmount, amount);
     globalRewardPool.totalLosses += 1;
     globalRewardPool.totalGames += 1;
+    if (abandoned) {
+      globalRewardPool.totalAbandoned += 1;
+    }
     globalRewardPool.lastUpdated = Date.now();
     
-    logger.system(`Added ${amount} USDC to reward pool from player ${playerEoa}. New total: ${globalRewardPool.totalAmount}`);
+    logger.system(`Added ${amount} USDC to reward pool from player ${playerEoa}${abandoned ? ' (abandoned)' : ''}. New total: ${globalRewardPool.totalAmount}`);
     
     return {
       success: true,
@@ -126,6 +130,7 @@ export function resetRewardPool(adminEoa) {
       totalGames: 0,
       totalWins: 0,
       totalLosses: 0,
+      totalAbandoned: 0,
       lastUpdated: Date.now()
     };
     
@@ -191,14 +196,11 @@ export function validateEntryDeposit(playerEoa, entryDeposit) {
  * @returns {Object} Potential reward information
  */
 export function calculatePotentialReward(entryDeposit) {
-  const currentPool = parseFloat(globalRewardPool.totalAmount);
-  const deposit = parseFloat(entryDeposit);
-  
   return {
     currentPoolAmount: globalRewardPool.totalAmount,
     entryDeposit: entryDeposit,
     potentialWinAmount: globalRewardPool.totalAmount,
     riskAmount: entryDeposit,
-    poolAfterLoss: (currentPool + deposit).toString()
+    poolAfterLoss: addAmounts(globalRewardPool.totalAmount, entryDeposit)
   };
 }
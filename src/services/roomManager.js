@@ -1,23 +1,38 @@
 /**
- * Room manager for the LockBlock game
+ * Room manager for game rooms
+ * Rooms are created for a game mode (see gameModes.js) and seat up to the
+ * mode's maximum number of players.
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import { ethers } from 'ethers';
-import { processAction } from './index.js';
-import { getRewardPool, validateEntryDeposit, calculatePotentialReward } from './index.js';
+import { validateEntryDeposit, calculatePotentialReward } from './index.js';
+import { getGameMode, DEFAULT_GAME_MODE, DEFAULT_ASSET } from './gameModes.js';
+import { createReplayRecord, saveReplay } from './replays.js';
+import { createStateDelta } from './stateSync.js';
+import logger from '../utils/logger.js';
+import { getCurrentContent } from './contentRegistry.js';
+import { RECONNECT_GRACE_PERIOD } from '../config/websocket.js';
 
 /**
  * @typedef {Object} Room
  * @property {string} id - Unique room identifier
- * @property {Object} player - Single player information
- * @property {string|null} player.eoa - Player's Ethereum address
- * @property {string} player.entryDeposit - Entry deposit amount in USDC
- * @property {Map<string, Object>} connections - Map of player connections by EOA
+ * @property {string} mode - Game mode ID
+ * @property {Array<string>} players - Seated players' Ethereum addresses; the first one is the host
+ * @property {string} entryDeposit - Entry deposit amount, per player
+ * @property {string} asset - Asset the entry deposit is paid in (e.g. 'usdc')
+ * @property {Object} settings - Mode-specific room settings (e.g. LockBlock difficulty and level pack)
+ * @property {Map<string, Object>} connections - Map of player connections by EOA ({ ws, role, stateVersion, lastSentState })
+ * @property {Map<Object, Object>} spectators - Read-only spectator connections by WebSocket
  * @property {Object|null} gameState - Current game state
- * @property {boolean} isReady - Whether the room is ready to start
+ * @property {boolean} isReady - Whether enough players are seated to start
  * @property {boolean} gameStarted - Whether the game has started
- * @property {string} difficulty - Game difficulty level
+ * @property {Object} content - Content version current when the room was created; the game is built from it
+ * @property {Array<Object>} actionLog - Accepted actions with sequence number and server timestamp
+ * @property {Object<string, number>} lastProcessedSeq - Last input sequence number processed, per player
+ * @property {NodeJS.Timeout|null} timeLimitTimer - Timer for the game's next time limit
+ * @property {Map<string, Object>} disconnected - Players of a running game waiting to reconnect ({ since, timer }) by EOA
+ * @property {Function|null} onGameOver - Called with the action result when the server ends the game (time limit or abandonment)
  */
 
 /**
@@ -34,28 +49,38 @@ export function createRoomManager() {
   // In-memory storage for rooms and address-to-room mapping
   const rooms = new Map();
   const addressToRoom = new Map();
+  const spectatorToRoom = new Map();
 
   /**
    * Creates a new room
-   * @param {string} entryDeposit - Entry deposit amount in USDC (default: '0.01')
-   * @param {string} difficulty - Game difficulty level (default: 'normal')
+   * @param {Object} [options] - Room options
+   * @param {string} [options.mode] - Game mode ID (default: 'lockblock')
+   * @param {string} [options.entryDeposit] - Entry deposit amount in USDC (default: '0.01')
+   * @param {string} [options.asset] - Asset the deposit is paid in (default: 'usdc')
+   * @param {Object} [options.settings] - Mode-specific settings, as returned by the mode's createRoomSettings
    * @returns {string} Room ID
    */
-  function createRoom(entryDeposit = '0.01', difficulty = 'normal') {
+  function createRoom({ mode = DEFAULT_GAME_MODE, entryDeposit = '0.01', asset = DEFAULT_ASSET, settings = {} } = {}) {
     const roomId = uuidv4();
-    const currentPool = getRewardPool();
 
     rooms.set(roomId, {
       id: roomId,
-      player: {
-        eoa: null,
-        entryDeposit: entryDeposit
-      },
+      mode,
+      players: [],
+      entryDeposit: entryDeposit,
+      asset,
+      settings,
       connections: new Map(),
+      spectators: new Map(),
       gameState: null,
       isReady: false,
       gameStarted: false,
-      difficulty: difficulty,
+      content: getCurrentContent(),
+      actionLog: [],
+      lastProcessedSeq: {},
+      timeLimitTimer: null,
+      disconnected: new Map(),
+      onGameOver: null,
       rewardInfo: calculatePotentialReward(entryDeposit),
       createdAt: Date.now()
     });
@@ -63,7 +88,9 @@ export function createRoomManager() {
   }
 
   /**
-   * Adds a player to a room
+   * Adds a player to a room. A connection that was spectating a room stops
+   * spectating it; the result's spectatorsLeft names that room and its
+   * remaining spectator count.
    * @param {string} roomId - Room ID
    * @param {string} eoa - Player's Ethereum address
    * @param {Object} ws - WebSocket connection
@@ -90,9 +117,10 @@ export function createRoomManager() {
     }
 
     let room = rooms.get(roomId);
+    const mode = getGameMode(room.mode);
 
-    // Check if room already has a player
-    if (room.player.eoa) {
+    // Check if a seat is free
+    if (room.players.length >= mode.maxPlayers || room.gameStarted) {
       return {
         success: false,
         error: 'Room is already occupied'
@@ -100,7 +128,7 @@ export function createRoomManager() {
     }
 
     // Validate entry deposit
-    const depositValidation = validateEntryDeposit(formattedEoa, room.player.entryDeposit);
+    const depositValidation = validateEntryDeposit(formattedEoa, room.entryDeposit);
     if (!depositValidation.success) {
       return {
         success: false,
@@ -108,24 +136,31 @@ export function createRoomManager() {
       };
     }
 
-    // Assign player to room
-    room.player.eoa = formattedEoa;
+    // A seat replaces any room the connection was watching
+    const spectator = stopSpectating(ws);
+
+    // Seat player in the room
+    room.players.push(formattedEoa);
 
     // Store connection and map address to room
-    room.connections.set(formattedEoa, { ws, role: 'player' });
+    room.connections.set(formattedEoa, createConnection(ws, 'player'));
     addressToRoom.set(formattedEoa, roomId);
 
-    // Room is ready when player joins
-    room.isReady = true;
-    console.log(`Room ${roomId} is ready with player: ${formattedEoa}`);
+    // Room is ready once the mode's minimum number of players is seated
+    room.isReady = room.players.length >= mode.minPlayers;
+    if (room.isReady) {
+      console.log(`Room ${roomId} is ready with players: ${room.players.join(', ')}`);
+    }
 
     return {
       success: true,
       roomId,
       role: 'player',
-      isRoomReady: true,
-      entryDeposit: room.player.entryDeposit,
-      rewardInfo: room.rewardInfo
+      seat: room.players.length - 1,
+      isRoomReady: room.isReady,
+      entryDeposit: room.entryDeposit,
+      rewardInfo: room.rewardInfo,
+      spectatorsLeft: spectator.success ? { roomId: spectator.roomId, count: spectator.spectatorCount } : null
     };
   }
 
@@ -134,9 +169,10 @@ export function createRoomManager() {
    * @param {string} roomId - Room ID
    * @param {Object} action - Player action object
    * @param {string} eoa - Player's Ethereum address
+   * @param {number} clientSeq - Client input sequence number
    * @returns {Object} Result with success flag and additional info
    */
-  function processPlayerAction(roomId, action, eoa) {
+  function processPlayerAction(roomId, action, eoa, clientSeq) {
     // Format address to proper checksum format
     const formattedEoa = ethers.getAddress(eoa);
 
@@ -165,23 +201,307 @@ export function createRoomManager() {
       };
     }
 
-    // Process the action
-    const result = processAction(room.gameState, action, formattedEoa);
+    // Inputs must arrive in order; duplicates and stale resends are dropped
+    const lastProcessedSeq = room.lastProcessedSeq[formattedEoa] ?? 0;
+    if (clientSeq <= lastProcessedSeq) {
+      return {
+        success: false,
+        error: `Duplicate or out-of-order sequence number ${clientSeq} (last processed: ${lastProcessedSeq})`,
+        lastProcessedSeq
+      };
+    }
+
+    // A rejected input still counts as processed so the client can drop it
+    const mode = getGameMode(room.mode);
+    const now = Date.now();
+    const result = mode.applyAction(room.gameState, action, formattedEoa, now);
+    room.lastProcessedSeq[formattedEoa] = clientSeq;
     if (!result.success) {
-      return result;
+      return { ...result, lastProcessedSeq: clientSeq };
     }
 
-    // Update game state
+    // Update game state and record the action for replays
     room.gameState = result.gameState;
+    room.actionLog.push({
+      seq: room.actionLog.length + 1,
+      clientSeq,
+      player: formattedEoa,
+      timestamp: now,
+      action,
+      events: result.events
+    });
+
+    const { isGameOver, gameResult, winner } = mode.checkEnd(room.gameState);
+    if (isGameOver) {
+      clearTimeLimit(room);
+      persistReplay(room);
+    } else {
+      // Completing a chunk restarts the chunk clock
+      scheduleTimeLimit(room);
+    }
 
     return {
       success: true,
       gameState: room.gameState,
-      isGameOver: room.gameState.isGameOver,
-      gameResult: room.gameState.gameResult
+      lastProcessedSeq: clientSeq,
+      isGameOver,
+      gameResult,
+      winner
+    };
+  }
+
+  /**
+   * Persists the replay of a finished game in the background, for modes
+   * that record replays
+   * @param {Room} room - Room whose game just ended
+   */
+  function persistReplay(room) {
+    if (!getGameMode(room.mode).replays) return;
+
+    const record = createReplayRecord(room.id, room.gameState, room.actionLog, room.mode);
+    saveReplay(record).catch(error => {
+      logger.error(`Failed to save replay for room ${room.id}:`, error);
+    });
+  }
+
+  /**
+   * Records an action the server applied on its own (timeout, pause, resume,
+   * abandon) in the action log
+   * @param {Room} room - Room
+   * @param {string} type - Action type
+   * @param {Object} result - Result of applying the action
+   * @param {number} now - Timestamp the action was applied at
+   * @param {string} [player] - Player the action concerns
+   */
+  function recordServerAction(room, type, result, now, player) {
+    room.gameState = result.gameState;
+    room.actionLog.push({
+      seq: room.actionLog.length + 1,
+      clientSeq: null,
+      ...(player && { player }),
+      timestamp: now,
+      action: { type },
+      events: result.events
+    });
+  }
+
+  /**
+   * Hands a game the server ended on its own to the room's game over handler
+   * @param {Room} room - Room whose game just ended
+   * @param {Object} [details] - Extra fields for the game over handler (e.g. abandonedBy)
+   */
+  function finishServerGame(room, details = {}) {
+    clearTimeLimit(room);
+    clearGracePeriods(room);
+    persistReplay(room);
+
+    if (room.onGameOver) {
+      room.onGameOver({
+        success: true,
+        gameState: room.gameState,
+        ...getGameMode(room.mode).checkEnd(room.gameState),
+        ...details
+      });
+    }
+  }
+
+  /**
+   * Starts enforcing server-side game endings, so the game ends even if
+   * clients stop sending actions: time limits, and players who disconnect
+   * and do not come back
+   * @param {string} roomId - Room ID
+   * @param {Function} onGameOver - Called with the action result when the server ends the game
+   */
+  function watchGame(roomId, onGameOver) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) return;
+
+    room.onGameOver = onGameOver;
+    scheduleTimeLimit(room);
+  }
+
+  /**
+   * Arms the timer for the room's next deadline, replacing any existing one
+   * @param {Room} room - Room
+   */
+  function scheduleTimeLimit(room) {
+    clearTimeLimit(room);
+    const mode = getGameMode(room.mode);
+    if (!room.onGameOver || !mode.getNextDeadline) return;
+
+    const deadline = mode.getNextDeadline(room.gameState);
+    if (deadline === null) return;
+
+    room.timeLimitTimer = setTimeout(() => expireTimeLimit(room.id), Math.max(0, deadline - Date.now()));
+  }
+
+  /**
+   * Stops the room's time limit timer
+   * @param {Room} room - Room
+   */
+  function clearTimeLimit(room) {
+    if (room.timeLimitTimer) {
+      clearTimeout(room.timeLimitTimer);
+      room.timeLimitTimer = null;
+    }
+  }
+
+  /**
+   * Ends the room's game when its time limit runs out and records the
+   * timeout in the action log
+   * @param {string} roomId - Room ID
+   */
+  function expireTimeLimit(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) return;
+    room.timeLimitTimer = null;
+
+    const mode = getGameMode(room.mode);
+    const now = Date.now();
+    const result = mode.processTimeout(room.gameState, now);
+    if (!result.success) {
+      // Timer fired slightly early or the game already ended
+      scheduleTimeLimit(room);
+      return;
+    }
+
+    recordServerAction(room, 'timeout', result, now);
+    logger.game(`Room ${roomId} ran out of time (${result.events[0].limit ?? 'race'} limit)`);
+
+    // A racer running out of time only ends the race once every racer is out
+    if (mode.checkEnd(room.gameState).isGameOver) {
+      finishServerGame(room);
+    } else {
+      broadcastGameState(roomId);
+      scheduleTimeLimit(room);
+    }
+  }
+
+  /**
+   * Handles a player's connection dropping. In a running game the seat is
+   * held for the grace period (pausing the clock if the mode says so) so
+   * the player can resume; otherwise the player leaves the room.
+   * @param {string} eoa - Player's Ethereum address
+   * @returns {Object} Result with success flag, room ID and whether the seat is held
+   */
+  function disconnectPlayer(eoa) {
+    const formattedEoa = ethers.getAddress(eoa);
+    const room = rooms.get(addressToRoom.get(formattedEoa));
+    const mode = room && getGameMode(room.mode);
+
+    if (!room || !room.gameState || mode.checkEnd(room.gameState).isGameOver) {
+      return leaveRoom(formattedEoa);
+    }
+
+    room.connections.delete(formattedEoa);
+
+    // The clock is paused by the first player to drop and resumed by the last to return
+    const now = Date.now();
+    if (mode.disconnectClock === 'pause' && room.disconnected.size === 0) {
+      const result = mode.pauseGame(room.gameState, now);
+      if (result.success) {
+        recordServerAction(room, 'pause', result, now, formattedEoa);
+        clearTimeLimit(room);
+        broadcastGameState(room.id);
+      }
+    }
+
+    room.disconnected.set(formattedEoa, {
+      since: now,
+      timer: setTimeout(() => expireGracePeriod(room.id, formattedEoa), RECONNECT_GRACE_PERIOD)
+    });
+    logger.game(`Player ${formattedEoa} disconnected from room ${room.id}; holding the seat for ${RECONNECT_GRACE_PERIOD}ms`);
+
+    return {
+      success: true,
+      roomId: room.id,
+      held: true,
+      gracePeriod: RECONNECT_GRACE_PERIOD,
+      clock: mode.disconnectClock
     };
   }
 
+  /**
+   * Reattaches a disconnected player to their seat in a running game
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Player's Ethereum address
+   * @param {Object} ws - New WebSocket connection
+   * @returns {Object} Result with success flag and the player's seat
+   */
+  function resumeRoom(roomId, eoa, ws) {
+    const formattedEoa = ethers.getAddress(eoa);
+    const room = rooms.get(roomId);
+
+    if (!room) {
+      return {
+        success: false,
+        error: 'Room not found'
+      };
+    }
+
+    const disconnection = room.disconnected.get(formattedEoa);
+    if (!disconnection) {
+      return {
+        success: false,
+        error: 'No seat to resume in this room'
+      };
+    }
+
+    clearTimeout(disconnection.timer);
+    room.disconnected.delete(formattedEoa);
+    room.connections.set(formattedEoa, createConnection(ws, 'player'));
+
+    const mode = getGameMode(room.mode);
+    if (mode.disconnectClock === 'pause' && room.disconnected.size === 0) {
+      const now = Date.now();
+      const result = mode.resumeGame(room.gameState, now);
+      if (result.success) {
+        recordServerAction(room, 'resume', result, now, formattedEoa);
+        scheduleTimeLimit(room);
+      }
+    }
+
+    logger.game(`Player ${formattedEoa} resumed room ${roomId} after ${Date.now() - disconnection.since}ms`);
+
+    return {
+      success: true,
+      roomId,
+      role: 'player',
+      seat: room.players.indexOf(formattedEoa),
+      lastProcessedSeq: room.lastProcessedSeq[formattedEoa] ?? 0
+    };
+  }
+
+  /**
+   * Ends the game as abandoned when a disconnected player's grace period
+   * runs out
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Player's Ethereum address
+   */
+  function expireGracePeriod(roomId, eoa) {
+    const room = rooms.get(roomId);
+    if (!room || !room.disconnected.has(eoa)) return;
+    room.disconnected.delete(eoa);
+
+    const now = Date.now();
+    const result = getGameMode(room.mode).processAbandon(room.gameState, eoa, now);
+    if (!result.success) return;
+
+    recordServerAction(room, 'abandon', result, now, eoa);
+    logger.game(`Player ${eoa} did not reconnect to room ${roomId}; game abandoned`);
+    finishServerGame(room, { abandonedBy: eoa });
+  }
+
+  /**
+   * Stops the grace period timers of all disconnected players
+   * @param {Room} room - Room
+   */
+  function clearGracePeriods(room) {
+    for (const disconnection of room.disconnected.values()) {
+      clearTimeout(disconnection.timer);
+    }
+  }
+
   /**
    * Removes a player from a room
    * @param {string} eoa - Player's Ethereum address
@@ -205,13 +525,16 @@ export function createRoomManager() {
     if (room) {
       room.connections.delete(formattedEoa);
 
-      // Clear player from room (single player)
-      if (room.player.eoa === formattedEoa) {
-        room.player.eoa = null;
+      // Free the seat until the game starts; afterwards it is needed for settlement
+      if (!room.gameStarted) {
+        room.players = room.players.filter(player => player !== formattedEoa);
+        room.isReady = room.players.length >= getGameMode(room.mode).minPlayers;
       }
 
-      // Clean up room if empty (single player means room is empty)
-      rooms.delete(roomId);
+      // Clean up room once no player is connected; spectators don't keep it open
+      if (room.connections.size === 0) {
+        removeRoom(room);
+      }
     }
 
     addressToRoom.delete(formattedEoa);
@@ -223,7 +546,90 @@ export function createRoomManager() {
   }
 
   /**
-   * Broadcasts a message to all players in a room
+   * Attaches a read-only spectator connection to a room. Spectators receive
+   * the room's broadcasts but have no seat and cannot send actions.
+   * @param {string} roomId - Room ID
+   * @param {Object} ws - WebSocket connection
+   * @returns {Object} Result with success flag and the spectator count
+   */
+  function spectateRoom(roomId, ws) {
+    if (!rooms.has(roomId)) {
+      return {
+        success: false,
+        error: 'Room not found'
+      };
+    }
+
+    const room = rooms.get(roomId);
+
+    if ([...room.connections.values()].some(connection => connection.ws === ws)) {
+      return {
+        success: false,
+        error: 'Players cannot spectate their own room'
+      };
+    }
+
+    if (spectatorToRoom.has(ws)) {
+      return {
+        success: false,
+        error: 'Already spectating a room'
+      };
+    }
+
+    room.spectators.set(ws, createConnection(ws, 'spectator'));
+    spectatorToRoom.set(ws, roomId);
+
+    return {
+      success: true,
+      roomId,
+      role: 'spectator',
+      spectatorCount: room.spectators.size
+    };
+  }
+
+  /**
+   * Detaches a spectator connection from the room it is watching
+   * @param {Object} ws - WebSocket connection
+   * @returns {Object} Result with success flag, room ID and the remaining spectator count
+   */
+  function stopSpectating(ws) {
+    if (!spectatorToRoom.has(ws)) {
+      return {
+        success: false,
+        error: 'Not spectating any room'
+      };
+    }
+
+    const roomId = spectatorToRoom.get(ws);
+    const room = rooms.get(roomId);
+    spectatorToRoom.delete(ws);
+    room.spectators.delete(ws);
+
+    return {
+      success: true,
+      roomId,
+      spectatorCount: room.spectators.size
+    };
+  }
+
+  /**
+   * Tells a room's spectators the room is gone and detaches them
+   * @param {Room} room - Room being removed
+   */
+  function detachSpectators(room) {
+    const message = JSON.stringify({ type: 'room:closed', roomId: room.id });
+
+    for (const [ws, connection] of room.spectators.entries()) {
+      if (connection.ws.readyState === 1) { // WebSocket.OPEN
+        connection.ws.send(message);
+      }
+      spectatorToRoom.delete(ws);
+    }
+    room.spectators.clear();
+  }
+
+  /**
+   * Broadcasts a message to all players and spectators in a room
    * @param {string} roomId - Room ID
    * @param {string} type - Message type
    * @param {Object} data - Message data
@@ -234,29 +640,149 @@ export function createRoomManager() {
     const room = rooms.get(roomId);
     const message = JSON.stringify({ type, ...data });
     
-    for (const connection of room.connections.values()) {
+    for (const connection of [...room.connections.values(), ...room.spectators.values()]) {
       if (connection.ws.readyState === 1) { // WebSocket.OPEN
         connection.ws.send(message);
       }
     }
   }
 
+  /**
+   * Creates the record of a client connected to a room
+   * @param {Object} ws - WebSocket connection
+   * @param {string} role - Connection role
+   * @returns {Object} Connection with its own state sync version
+   */
+  function createConnection(ws, role) {
+    return { ws, role, stateVersion: 0, lastSentState: null };
+  }
+
+  /**
+   * Formats the current room state for one client
+   * @param {Room} room - Room
+   * @param {string|null} viewerEoa - Address of the client the state is for, null for spectators
+   * @returns {Object} Game state plus the client's last acknowledged input
+   */
+  function formatRoomState(room, viewerEoa) {
+    return {
+      mode: room.mode,
+      ...getGameMode(room.mode).formatState(room.gameState, room.id, Date.now(), viewerEoa),
+      lastProcessedSeq: room.lastProcessedSeq[viewerEoa] ?? 0
+    };
+  }
+
+  /**
+   * Sends the room's game state to one client: a full `room:state` snapshot
+   * when requested or when nothing was sent yet, otherwise a `room:delta`
+   * against the version previously sent to that client
+   * @param {Room} room - Room
+   * @param {string|null} eoa - Client's address, null for spectators
+   * @param {Object} connection - Client's connection
+   * @param {boolean} snapshot - Force a full snapshot
+   */
+  function sendGameState(room, eoa, connection, snapshot) {
+    const state = formatRoomState(room, eoa);
+
+    if (snapshot || !connection.lastSentState || !getGameMode(room.mode).stateDeltas) {
+      connection.stateVersion++;
+      connection.lastSentState = state;
+      connection.ws.send(JSON.stringify({ type: 'room:state', ...state, version: connection.stateVersion }));
+      return;
+    }
+
+    const delta = createStateDelta(connection.lastSentState, state);
+    if (!delta) return;
+
+    const baseVersion = connection.stateVersion;
+    connection.stateVersion++;
+    connection.lastSentState = state;
+    connection.ws.send(JSON.stringify({
+      type: 'room:delta',
+      roomId: room.id,
+      version: connection.stateVersion,
+      baseVersion,
+      ...delta
+    }));
+  }
+
+  /**
+   * Broadcasts the room's game state to every connected client. Each player
+   * gets their own view (e.g. their own run plus ghosts in a race) and their
+   * own version sequence; spectators get the mode's view for a non-player.
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Broadcast options
+   * @param {boolean} [options.snapshot=false] - Force a full snapshot
+   */
+  function broadcastGameState(roomId, { snapshot = false } = {}) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) return;
+
+    for (const [eoa, connection] of room.connections.entries()) {
+      if (connection.ws.readyState === 1) { // WebSocket.OPEN
+        sendGameState(room, eoa, connection, snapshot);
+      }
+    }
+
+    for (const connection of room.spectators.values()) {
+      if (connection.ws.readyState === 1) { // WebSocket.OPEN
+        sendGameState(room, null, connection, snapshot);
+      }
+    }
+  }
+
+  /**
+   * Sends a full snapshot of the last state sent to a client, so it can
+   * resynchronise after missing or misapplying a delta
+   * @param {string} roomId - Room ID
+   * @param {Object} ws - WebSocket connection
+   * @returns {boolean} Whether a snapshot was sent
+   */
+  function sendStateSnapshot(roomId, ws) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) return false;
+
+    const entry = [...room.connections.entries()].find(([, connection]) => connection.ws === ws)
+      || (room.spectators.has(ws) && [null, room.spectators.get(ws)]);
+    if (!entry) return false;
+
+    const [eoa, connection] = entry;
+    if (!connection.lastSentState) {
+      connection.stateVersion++;
+      connection.lastSentState = formatRoomState(room, eoa);
+    }
+
+    ws.send(JSON.stringify({ type: 'room:state', ...connection.lastSentState, version: connection.stateVersion }));
+    return true;
+  }
+
   /**
    * Closes a room and notifies all players
    * @param {string} roomId - Room ID
    */
   function closeRoom(roomId) {
     if (!rooms.has(roomId)) return;
-    
-    const room = rooms.get(roomId);
-    
-    // Remove all players from the room
-    for (const eoa of room.connections.keys()) {
-      addressToRoom.delete(eoa);
+
+    removeRoom(rooms.get(roomId));
+  }
+
+  /**
+   * Deletes a room with its timers, spectators and address mappings
+   * @param {Room} room - Room
+   */
+  function removeRoom(room) {
+    clearTimeLimit(room);
+    clearGracePeriods(room);
+    detachSpectators(room);
+
+    // Remove all players from the room, including those still disconnected
+    for (const eoa of new Set([...room.players, ...room.connections.keys()])) {
+      if (addressToRoom.get(eoa) === room.id) {
+        addressToRoom.delete(eoa);
+      }
     }
-    
+
     // Delete the room
-    rooms.delete(roomId);
+    rooms.delete(room.id);
   }
 
   // Return public API
@@ -265,9 +791,16 @@ export function createRoomManager() {
     addressToRoom,
     createRoom,
     joinRoom,
+    spectateRoom,
+    stopSpectating,
     processPlayerAction,
+    watchGame,
+    disconnectPlayer,
+    resumeRoom,
     leaveRoom,
     broadcastToRoom,
+    broadcastGameState,
+    sendStateSnapshot,
     closeRoom
   };
 }
\ No newline at end of file
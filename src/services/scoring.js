@@ -0,0 +1,175 @@
+/**
+ * Scoring rules engine for LockBlock
+ * Every award goes through here so the economy can be tuned in
+ * config/scoring.js, and each game keeps a breakdown of where its score
+ * came from.
+ */
+import { SCORING_RULES, SCORE_CATEGORIES } from '../config/scoring.js';
+import { getDifficultyProfile } from '../config/difficulty.js';
+import { POWER_UPS } from '../config/powerUps.js';
+
+/**
+ * @typedef {Object} ScoreState
+ * @property {Object<string, number>} breakdown - Points awarded per category
+ * @property {Object} combo - Current pickup combo
+ * @property {number} combo.count - Pickups in the combo so far
+ * @property {number|null} combo.lastPickupTick - Tick of the last pickup
+ * @property {boolean} chunkDamaged - Whether the player was hit in the current chunk
+ */
+
+/**
+ * Creates the scoring state of a new game
+ * @returns {ScoreState} Empty scoring state
+ */
+export function createScoreState() {
+  return {
+    breakdown: Object.fromEntries(SCORE_CATEGORIES.map(category => [category, 0])),
+    combo: { count: 0, lastPickupTick: null },
+    chunkDamaged: false
+  };
+}
+
+/**
+ * Gets the multiplier applied to every award: the difficulty's multiplier
+ * times an active score multiplier power-up
+ * @param {Object} gameState - Current game state
+ * @returns {number} Score multiplier
+ */
+function getScoreMultiplier(gameState) {
+  const { scoreMultiplier } = getDifficultyProfile(gameState.difficulty);
+  const effectMultiplier = gameState.activeEffects.score_multiplier !== undefined
+    ? POWER_UPS.score_multiplier.multiplier
+    : 1;
+
+  return scoreMultiplier * effectMultiplier;
+}
+
+/**
+ * Awards points in a breakdown category
+ * @param {Object} gameState - Current game state
+ * @param {string} category - Breakdown category
+ * @param {number} basePoints - Points before multipliers
+ * @returns {Object} Updated game state
+ */
+function awardPoints(gameState, category, basePoints) {
+  const points = Math.floor(basePoints * getScoreMultiplier(gameState));
+  const { scoring } = gameState;
+
+  return {
+    ...gameState,
+    player: {
+      ...gameState.player,
+      score: gameState.player.score + points
+    },
+    scoring: {
+      ...scoring,
+      breakdown: {
+        ...scoring.breakdown,
+        [category]: scoring.breakdown[category] + points
+      }
+    }
+  };
+}
+
+/**
+ * Scores a collectible pickup. Pickups within the combo window of the
+ * previous one extend the combo and earn extra combo points.
+ * @param {Object} gameState - Current game state
+ * @param {Object} collectible - Collectible picked up
+ * @param {Array<Object>} events - Receives a combo event for chained pickups
+ * @returns {Object} Updated game state
+ */
+export function scorePickup(gameState, collectible, events) {
+  const { windowTicks, step, maxMultiplier } = SCORING_RULES.combo;
+  const { combo } = gameState.scoring;
+  const isChained = combo.lastPickupTick !== null && gameState.tick - combo.lastPickupTick <= windowTicks;
+  const count = isChained ? combo.count + 1 : 1;
+
+  const basePoints = SCORING_RULES.collectibles[collectible.type];
+  let updatedGameState = awardPoints(gameState, 'collectibles', basePoints);
+
+  if (count > 1) {
+    const multiplier = Math.min(1 + step * (count - 1), maxMultiplier);
+    updatedGameState = awardPoints(updatedGameState, 'combos', basePoints * (multiplier - 1));
+    events.push({ type: 'combo', count, multiplier, tick: gameState.tick });
+  }
+
+  return {
+    ...updatedGameState,
+    scoring: {
+      ...updatedGameState.scoring,
+      combo: { count, lastPickupTick: gameState.tick }
+    }
+  };
+}
+
+/**
+ * Records that the player was hit: breaks the combo and forfeits the
+ * current chunk's no-damage bonus
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Updated game state
+ */
+export function recordDamage(gameState) {
+  return {
+    ...gameState,
+    scoring: {
+      ...gameState.scoring,
+      combo: { count: 0, lastPickupTick: null },
+      chunkDamaged: true
+    }
+  };
+}
+
+/**
+ * Scores a completed chunk, plus the no-damage bonus if the player was
+ * never hit in it, and resets the damage tracking for the next chunk
+ * @param {Object} gameState - Current game state
+ * @param {number} chunkIndex - Index of the completed chunk
+ * @param {Array<Object>} events - Receives a no_damage_bonus event
+ * @returns {Object} Updated game state
+ */
+export function scoreChunkCompletion(gameState, chunkIndex, events) {
+  let updatedGameState = awardPoints(gameState, 'chunks', SCORING_RULES.chunkCompleted);
+
+  if (!gameState.scoring.chunkDamaged) {
+    const scoreBefore = updatedGameState.player.score;
+    updatedGameState = awardPoints(updatedGameState, 'noDamage', SCORING_RULES.noDamageChunk);
+    events.push({ type: 'no_damage_bonus', chunk: chunkIndex, points: updatedGameState.player.score - scoreBefore });
+  }
+
+  return {
+    ...updatedGameState,
+    scoring: { ...updatedGameState.scoring, chunkDamaged: false }
+  };
+}
+
+/**
+ * Scores the time left on the run clock of a won run
+ * @param {Object} gameState - Current game state
+ * @param {number} timeRemaining - Remaining run time in ms
+ * @param {Array<Object>} events - Receives a time_bonus event
+ * @returns {Object} Updated game state
+ */
+export function scoreTimeBonus(gameState, timeRemaining, events) {
+  const scoreBefore = gameState.player.score;
+  const updatedGameState = awardPoints(
+    gameState,
+    'timeBonus',
+    Math.floor(timeRemaining / 1000) * SCORING_RULES.timeBonusPerSecond
+  );
+
+  events.push({ type: 'time_bonus', points: updatedGameState.player.score - scoreBefore, timeRemaining });
+  return updatedGameState;
+}
+
+/**
+ * Gets the score breakdown of a game
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Points per category and the total score
+ */
+export function getScoreBreakdown(gameState) {
+  return {
+    ...gameState.scoring.breakdown,
+    total: gameState.player.score
+  };
+}
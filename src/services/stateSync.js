@@ -0,0 +1,95 @@
+/**
+ * Room state synchronisation
+ * Clients get a full snapshot on join/start (or when they ask for a resync)
+ * and compact, versioned deltas after that.
+ */
+
+// Keys handled separately from the generic top-level diff
+const STRUCTURED_KEYS = new Set(['roomId', 'player', 'chunks']);
+
+/**
+ * Compares two JSON-compatible values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialise identically
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Collects the IDs of all collected items in a chunk list
+ * @param {Array<Object>} chunks - Chunks from a formatted state
+ * @returns {Set<string>} Collected item IDs
+ */
+function getCollectedIds(chunks) {
+  const ids = new Set();
+  for (const chunk of chunks) {
+    for (const item of chunk.collectibles) {
+      if (item.collected) ids.add(item.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Computes the delta between two formatted room states
+ * @param {Object} previous - Last state sent to clients
+ * @param {Object} next - New state
+ * @returns {Object|null} Delta with changes, player, collected and completedChunks, or null if nothing changed
+ */
+export function createStateDelta(previous, next) {
+  const changes = {};
+  for (const key of Object.keys(next)) {
+    if (!STRUCTURED_KEYS.has(key) && !isSameValue(previous[key], next[key])) {
+      changes[key] = next[key];
+    }
+  }
+
+  const player = {};
+  for (const key of Object.keys(next.player)) {
+    if (!isSameValue(previous.player[key], next.player[key])) {
+      player[key] = next.player[key];
+    }
+  }
+
+  const previouslyCollected = getCollectedIds(previous.chunks);
+  const collected = [...getCollectedIds(next.chunks)].filter(id => !previouslyCollected.has(id));
+
+  const completedChunks = next.chunks
+    .filter((chunk, index) => chunk.completed && !previous.chunks[index]?.completed)
+    .map(chunk => chunk.id);
+
+  const hasChanges = Object.keys(changes).length > 0 || Object.keys(player).length > 0
+    || collected.length > 0 || completedChunks.length > 0;
+  if (!hasChanges) {
+    return null;
+  }
+
+  return { changes, player, collected, completedChunks };
+}
+
+/**
+ * Applies a delta to a snapshot (used by clients and test scripts)
+ * @param {Object} state - State at the delta's base version
+ * @param {Object} delta - Delta message
+ * @returns {Object} State at the delta's version
+ */
+export function applyStateDelta(state, delta) {
+  const collected = new Set(delta.collected);
+  const completed = new Set(delta.completedChunks);
+
+  return {
+    ...state,
+    ...delta.changes,
+    version: delta.version,
+    player: { ...state.player, ...delta.player },
+    chunks: state.chunks.map(chunk => ({
+      ...chunk,
+      completed: chunk.completed || completed.has(chunk.id),
+      collectibles: chunk.collectibles.map(item =>
+        collected.has(item.id) ? { ...item, collected: true } : item
+      )
+    }))
+  };
+}
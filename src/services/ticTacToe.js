@@ -0,0 +1,153 @@
+/**
+ * Tic Tac Toe game logic (legacy 1-vs-1 mode)
+ * The host plays X and moves first, the guest plays O.
+ */
+import { ethers } from 'ethers';
+
+// Board cells that form a line
+const WINNING_LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8],
+  [0, 3, 6], [1, 4, 7], [2, 5, 8],
+  [0, 4, 8], [2, 4, 6]
+];
+
+/**
+ * @typedef {Object} TicTacToeState
+ * @property {Array<string|null>} board - 9 cells, each 'X', 'O' or null
+ * @property {Object} players - Player addresses by mark
+ * @property {string} players.X - Host's Ethereum address
+ * @property {string} players.O - Guest's Ethereum address
+ * @property {string} nextTurn - Mark to move next ('X' or 'O')
+ * @property {string|null} winner - Winning mark, or null
+ * @property {boolean} isGameOver - Whether the game is over
+ * @property {string|null} gameResult - 'win', 'draw', or null if game ongoing
+ */
+
+/**
+ * Creates a new Tic Tac Toe game
+ * @param {string} hostEoa - Host's Ethereum address (plays X)
+ * @param {string} guestEoa - Guest's Ethereum address (plays O)
+ * @returns {TicTacToeState} Initial game state
+ */
+export function createGame(hostEoa, guestEoa) {
+  return {
+    board: Array(9).fill(null),
+    players: {
+      X: ethers.getAddress(hostEoa),
+      O: ethers.getAddress(guestEoa)
+    },
+    nextTurn: 'X',
+    winner: null,
+    isGameOver: false,
+    gameResult: null
+  };
+}
+
+/**
+ * Finds the mark that completed a line, if any
+ * @param {Array<string|null>} board - Board cells
+ * @returns {string|null} Winning mark, or null
+ */
+function findWinner(board) {
+  for (const [a, b, c] of WINNING_LINES) {
+    if (board[a] && board[a] === board[b] && board[a] === board[c]) {
+      return board[a];
+    }
+  }
+  return null;
+}
+
+/**
+ * Places the player's mark on the board
+ * @param {TicTacToeState} gameState - Current game state
+ * @param {number} pos - Board position (0-8)
+ * @param {string} playerEoa - Player's Ethereum address
+ * @returns {Object} Result with updated game state, or error
+ */
+export function processMove(gameState, pos, playerEoa) {
+  const formattedPlayerEoa = ethers.getAddress(playerEoa);
+
+  if (gameState.isGameOver) {
+    return { success: false, error: 'Game is already over' };
+  }
+
+  if (gameState.players[gameState.nextTurn] !== formattedPlayerEoa) {
+    return { success: false, error: 'Not your turn' };
+  }
+
+  if (gameState.board[pos] !== null) {
+    return { success: false, error: 'Position already taken' };
+  }
+
+  const mark = gameState.nextTurn;
+  const board = gameState.board.map((cell, index) => (index === pos ? mark : cell));
+  const winner = findWinner(board);
+  const isDraw = !winner && board.every(cell => cell !== null);
+
+  return {
+    success: true,
+    gameState: {
+      ...gameState,
+      board,
+      nextTurn: mark === 'X' ? 'O' : 'X',
+      winner,
+      isGameOver: Boolean(winner) || isDraw,
+      gameResult: winner ? 'win' : isDraw ? 'draw' : null
+    },
+    events: [{ type: 'mark_placed', mark, pos }]
+  };
+}
+
+/**
+ * Ends the game because a player abandoned it; the opponent wins
+ * @param {TicTacToeState} gameState - Current game state
+ * @param {string} playerEoa - Address of the player who abandoned
+ * @returns {Object} Result with the finished game state, or error
+ */
+export function abandonGame(gameState, playerEoa) {
+  const formattedPlayerEoa = ethers.getAddress(playerEoa);
+
+  if (gameState.isGameOver) {
+    return { success: false, error: 'Game is already over' };
+  }
+
+  const mark = gameState.players.X === formattedPlayerEoa ? 'X' : 'O';
+  const winner = mark === 'X' ? 'O' : 'X';
+
+  return {
+    success: true,
+    gameState: { ...gameState, winner, isGameOver: true, gameResult: 'win' },
+    events: [{ type: 'abandoned', mark }]
+  };
+}
+
+/**
+ * Formats game state for client consumption
+ * @param {TicTacToeState} gameState - Current game state
+ * @param {string} roomId - Room ID
+ * @returns {Object} Formatted game state for client
+ */
+export function formatGameState(gameState, roomId) {
+  return {
+    roomId,
+    board: gameState.board,
+    nextTurn: gameState.nextTurn,
+    players: gameState.players,
+    isGameOver: gameState.isGameOver,
+    gameResult: gameState.gameResult
+  };
+}
+
+/**
+ * Formats the game over message
+ * @param {TicTacToeState} gameState - Current game state
+ * @returns {Object} Game over message
+ */
+export function formatGameOverMessage(gameState) {
+  return {
+    gameResult: gameState.gameResult,
+    winner: gameState.winner,
+    winnerEoa: gameState.winner ? gameState.players[gameState.winner] : null,
+    board: gameState.board
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Exact arithmetic for token amounts
+ * Amounts travel as decimal strings (e.g. '0.05'). They are added and
+ * compared as integers in the asset's smallest unit, so sums like
+ * 0.1 + 0.2 come out exact.
+ */
+import { ethers } from 'ethers';
+
+// Decimals amounts are calculated with (USDC precision)
+const AMOUNT_DECIMALS = 6;
+
+/**
+ * Converts a decimal amount to the smallest unit
+ * @param {string|number} amount - Decimal amount
+ * @returns {bigint} Amount in the smallest unit
+ */
+function toUnits(amount) {
+  return ethers.parseUnits(amount.toString(), AMOUNT_DECIMALS);
+}
+
+/**
+ * Formats an amount in the smallest unit as a decimal string without
+ * trailing zeros
+ * @param {bigint} units - Amount in the smallest unit
+ * @returns {string} Decimal amount (e.g. '0.1', '2', '0')
+ */
+function fromUnits(units) {
+  return ethers.formatUnits(units, AMOUNT_DECIMALS).replace(/\.0$/, '');
+}
+
+/**
+ * Adds decimal amounts exactly
+ * @param {...(string|number)} amounts - Decimal amounts
+ * @returns {string} Sum as a decimal string
+ */
+export function addAmounts(...amounts) {
+  return fromUnits(amounts.reduce((sum, amount) => sum + toUnits(amount), 0n));
+}
+
+/**
+ * Multiplies a decimal amount by a whole number exactly
+ * @param {string|number} amount - Decimal amount
+ * @param {number} factor - Whole-number factor
+ * @returns {string} Product as a decimal string
+ */
+export function multiplyAmount(amount, factor) {
+  return fromUnits(toUnits(amount) * BigInt(factor));
+}
+
+/**
+ * Checks whether two lists of amounts add up to the same total
+ * @param {Array<string|number>} a - Amounts
+ * @param {Array<string|number>} b - Amounts
+ * @returns {boolean} True if the totals are equal
+ */
+export function sameTotal(a, b) {
+  return addAmounts(...a) === addAmounts(...b);
+}
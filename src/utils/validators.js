@@ -1,6 +1,8 @@
 /**
  * Validators for game inputs
  */
+import { PHYSICS } from '../services/physics.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_PROFILES, isValidDifficulty, isDepositAllowed } from '../config/difficulty.js';
 
 /**
  * Validates Ethereum address format
@@ -24,6 +26,16 @@ export function isValidRoomId(roomId) {
     && /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(roomId);
 }
 
+/**
+ * Validates a token amount: a decimal string with at most 6 decimals
+ * (the precision app session allocations are calculated with)
+ * @param {string} amount - Amount to validate
+ * @returns {boolean} True if the amount is valid
+ */
+export function isValidAmount(amount) {
+  return typeof amount === 'string' && /^\d+(\.\d{1,6})?$/.test(amount);
+}
+
 /**
  * Validates move position format
  * @param {number} pos - Position on the board (0-8)
@@ -33,11 +45,21 @@ export function isValidPosition(pos) {
   return Number.isInteger(pos) && pos >= 0 && pos <= 8;
 }
 
+/**
+ * Validates the number of simulation ticks an action is held for
+ * @param {number} ticks - Tick count
+ * @returns {boolean} True if the tick count is valid
+ */
+export function isValidTickCount(ticks) {
+  return Number.isInteger(ticks) && ticks >= 1 && ticks <= PHYSICS.MAX_TICKS_PER_ACTION;
+}
+
 /**
  * Validates join room payload
  * @param {object} payload - The payload to validate
  * @param {string} payload.roomId - Room ID
  * @param {string} payload.eoa - Ethereum address
+ * @param {string} [payload.mode] - Game mode when creating a room
  * @returns {object} Validation result with success flag and optional error message
  */
 export function validateJoinRoomPayload(payload) {
@@ -58,7 +80,11 @@ export function validateJoinRoomPayload(payload) {
   // If roomId is undefined, we're creating a new room
   // If roomId is provided, we're joining an existing room
   if (payload.roomId === undefined) {
-    // Creating a new room - no further validation needed
+    // Creating a new room - mode-specific settings are validated by the game mode
+    if (payload.mode !== undefined && (typeof payload.mode !== 'string' || payload.mode.length === 0)) {
+      return { success: false, error: 'Game mode must be a non-empty string' };
+    }
+
     console.log("Creating new room");
     return { success: true, isCreating: true };
   } else {
@@ -72,40 +98,57 @@ export function validateJoinRoomPayload(payload) {
 }
 
 /**
- * Validates move payload (legacy - for tic-tac-toe)
- * @param {object} payload - The payload to validate
- * @param {string} payload.roomId - Room ID
- * @param {number} payload.pos - Position on the board (0-8)
+ * Validates the settings of a new LockBlock room
+ * @param {object} payload - Join room payload
+ * @param {string} [payload.difficulty] - Difficulty
+ * @param {string} [payload.entryDeposit] - Entry deposit
+ * @param {string} [payload.levelPack] - Level pack
  * @returns {object} Validation result with success flag and optional error message
  */
-export function validateMovePayload(payload) {
-  if (!payload || typeof payload !== 'object') {
-    return { success: false, error: 'Invalid payload format' };
+export function validateLockBlockRoomSettings(payload) {
+  // The difficulty and deposit must match a known tier
+  const difficulty = payload.difficulty ?? DEFAULT_DIFFICULTY;
+  if (!isValidDifficulty(difficulty)) {
+    return { success: false, error: `Invalid difficulty. Must be one of: ${Object.keys(DIFFICULTY_PROFILES).join(', ')}` };
   }
 
-  if (!payload.roomId) {
-    return { success: false, error: 'Room ID is required' };
+  if (payload.entryDeposit !== undefined && !isValidAmount(payload.entryDeposit)) {
+    return { success: false, error: 'Entry deposit must be a decimal amount string with at most 6 decimals' };
   }
 
-  if (!isValidRoomId(payload.roomId)) {
-    return { success: false, error: 'Invalid room ID format' };
+  if (payload.entryDeposit !== undefined && !isDepositAllowed(difficulty, payload.entryDeposit)) {
+    const { minDeposit, maxDeposit } = DIFFICULTY_PROFILES[difficulty];
+    const range = maxDeposit === null ? `at least ${minDeposit}` : `between ${minDeposit} and ${maxDeposit}`;
+    return { success: false, error: `Entry deposit for ${difficulty} difficulty must be ${range} USDC` };
   }
 
-  if (payload.pos === undefined) {
-    return { success: false, error: 'Position is required' };
+  if (payload.levelPack !== undefined && (typeof payload.levelPack !== 'string' || payload.levelPack.length === 0)) {
+    return { success: false, error: 'Level pack must be a non-empty string' };
   }
 
-  if (!isValidPosition(payload.pos)) {
-    return { success: false, error: 'Invalid position format (must be 0-8)' };
+  return { success: true };
+}
+
+/**
+ * Validates the settings of a new Tic Tac Toe room
+ * @param {object} payload - Join room payload
+ * @param {string} [payload.entryDeposit] - Entry deposit of each player
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateTicTacToeRoomSettings(payload) {
+  if (payload.entryDeposit !== undefined && !isValidAmount(payload.entryDeposit)) {
+    return { success: false, error: 'Entry deposit must be a decimal amount string with at most 6 decimals' };
   }
 
   return { success: true };
 }
 
 /**
- * Validates action payload for LockBlock game
+ * Validates action payload (the envelope shared by all game modes; the
+ * action itself is validated by the room's game mode)
  * @param {object} payload - The payload to validate
  * @param {string} payload.roomId - Room ID
+ * @param {number} payload.seq - Client input sequence number (positive, increasing)
  * @param {object} payload.action - Action object
  * @param {string} payload.action.type - Action type
  * @param {object} payload.action.data - Action data
@@ -124,6 +167,10 @@ export function validateActionPayload(payload) {
     return { success: false, error: 'Invalid room ID format' };
   }
 
+  if (!Number.isInteger(payload.seq) || payload.seq < 1) {
+    return { success: false, error: 'Sequence number (seq) must be a positive integer' };
+  }
+
   if (!payload.action || typeof payload.action !== 'object') {
     return { success: false, error: 'Action object is required' };
   }
@@ -132,32 +179,236 @@ export function validateActionPayload(payload) {
     return { success: false, error: 'Action type is required' };
   }
 
-  // Validate action types
-  const validActionTypes = ['move', 'jump', 'interact', 'complete_chunk', 'lose_life'];
-  if (!validActionTypes.includes(payload.action.type)) {
+  return { success: true };
+}
+
+/**
+ * Validates a LockBlock action
+ * @param {object} action - Action object
+ * @param {string} action.type - Action type
+ * @param {object} action.data - Action data
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateLockBlockAction(action) {
+  // Validate action types (chunk completion and life loss are detected by the server)
+  const validActionTypes = ['move', 'jump', 'idle', 'interact'];
+  if (!validActionTypes.includes(action.type)) {
     return { success: false, error: `Invalid action type. Must be one of: ${validActionTypes.join(', ')}` };
   }
 
   // Validate action data based on type
-  if (payload.action.type === 'move') {
-    if (!payload.action.data || !payload.action.data.direction) {
+  if (action.type === 'move') {
+    if (!action.data || !action.data.direction) {
       return { success: false, error: 'Move action requires direction in data' };
     }
-    const validDirections = ['left', 'right', 'up', 'down'];
-    if (!validDirections.includes(payload.action.data.direction)) {
+    const validDirections = ['left', 'right'];
+    if (!validDirections.includes(action.data.direction)) {
       return { success: false, error: `Invalid direction. Must be one of: ${validDirections.join(', ')}` };
     }
   }
 
-  if (payload.action.type === 'interact') {
-    if (!payload.action.data || !payload.action.data.objectType) {
-      return { success: false, error: 'Interact action requires objectType in data' };
+  if (action.type === 'jump' && action.data?.direction !== undefined) {
+    const validDirections = ['left', 'right'];
+    if (!validDirections.includes(action.data.direction)) {
+      return { success: false, error: `Invalid jump direction. Must be one of: ${validDirections.join(', ')}` };
     }
-    const validObjectTypes = ['coin', 'gem', 'treasure', 'powerup'];
-    if (!validObjectTypes.includes(payload.action.data.objectType)) {
-      return { success: false, error: `Invalid objectType. Must be one of: ${validObjectTypes.join(', ')}` };
+  }
+
+  // Movement actions hold their input for a number of simulation ticks
+  if (['move', 'jump', 'idle'].includes(action.type) && action.data?.ticks !== undefined) {
+    if (!isValidTickCount(action.data.ticks)) {
+      return { success: false, error: `Invalid ticks. Must be an integer between 1 and ${PHYSICS.MAX_TICKS_PER_ACTION}` };
+    }
+  }
+
+  // Points are server-defined, so an interaction only names the collectible
+  if (action.type === 'interact') {
+    if (!action.data || typeof action.data.entityId !== 'string') {
+      return { success: false, error: 'Interact action requires entityId in data' };
     }
   }
 
   return { success: true };
-}
\ No newline at end of file
+}
+
+/**
+ * Validates a Tic Tac Toe action
+ * @param {object} action - Action object
+ * @param {string} action.type - Action type (only 'move')
+ * @param {object} action.data - Action data with the board position (0-8)
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateTicTacToeAction(action) {
+  if (action.type !== 'move') {
+    return { success: false, error: 'Invalid action type. Must be one of: move' };
+  }
+
+  if (action.data?.pos === undefined) {
+    return { success: false, error: 'Position is required' };
+  }
+
+  if (!isValidPosition(action.data.pos)) {
+    return { success: false, error: 'Invalid position format (must be 0-8)' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates a state resync request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateResyncPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.roomId) {
+    return { success: false, error: 'Room ID is required' };
+  }
+
+  if (!isValidRoomId(payload.roomId)) {
+    return { success: false, error: 'Invalid room ID format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates a spectate room request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateSpectateRoomPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.roomId) {
+    return { success: false, error: 'Room ID is required' };
+  }
+
+  if (!isValidRoomId(payload.roomId)) {
+    return { success: false, error: 'Invalid room ID format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates a resume room request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID
+ * @param {string} payload.eoa - Player's Ethereum address
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateResumeRoomPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.roomId) {
+    return { success: false, error: 'Room ID is required' };
+  }
+
+  if (!isValidRoomId(payload.roomId)) {
+    return { success: false, error: 'Invalid room ID format' };
+  }
+
+  if (!payload.eoa) {
+    return { success: false, error: 'Ethereum address is required' };
+  }
+
+  if (!isValidEthereumAddress(payload.eoa)) {
+    return { success: false, error: 'Invalid Ethereum address format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates a sign-in challenge request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.eoa - Address to sign in as
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateAuthChallengePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.eoa) {
+    return { success: false, error: 'Ethereum address is required' };
+  }
+
+  if (!isValidEthereumAddress(payload.eoa)) {
+    return { success: false, error: 'Invalid Ethereum address format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates a sign-in challenge response payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.signature - Signature of the challenge message
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateAuthVerifyPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.signature) {
+    return { success: false, error: 'Signature is required' };
+  }
+
+  if (typeof payload.signature !== 'string' || !/^0x[a-fA-F0-9]{130}$/.test(payload.signature)) {
+    return { success: false, error: 'Invalid signature format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates a session resume request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.sessionToken - Session token from an earlier sign-in
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateAuthResumePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.sessionToken) {
+    return { success: false, error: 'Session token is required' };
+  }
+
+  if (typeof payload.sessionToken !== 'string' || !/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(payload.sessionToken)) {
+    return { success: false, error: 'Invalid session token format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates an admin request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.token - Admin token
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateAdminPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (typeof payload.token !== 'string' || payload.token.length === 0) {
+    return { success: false, error: 'Admin token is required' };
+  }
+
+  return { success: true };
+}
@@ -3,9 +3,13 @@
  */
 
 import WebSocket from 'ws';
+import { ethers } from 'ethers';
+import { applyStateDelta } from './src/services/stateSync.js';
 
 const SERVER_URL = 'ws://localhost:8080';
-const TEST_PLAYER_EOA = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'; // Vitalik's address
+// Throwaway wallet; the server only accepts addresses the client can sign for
+const wallet = ethers.Wallet.createRandom();
+const TEST_PLAYER_EOA = wallet.address;
 
 console.log('🎮 Testing LockBlock Server via WebSocket\n');
 
@@ -14,6 +18,8 @@ const ws = new WebSocket(SERVER_URL);
 
 let roomId = null;
 let testStep = 0;
+let actionSeq = 0;
+let lastState = null;
 
 const testSteps = [
   'Connect to server',
@@ -31,6 +37,10 @@ function nextStep() {
 }
 
 function sendMessage(type, payload) {
+  // Every action carries an increasing input sequence number
+  if (type === 'action') {
+    payload = { ...payload, seq: ++actionSeq };
+  }
   const message = JSON.stringify({ type, payload });
   console.log(`📤 Sending: ${type}`, payload ? JSON.stringify(payload, null, 2) : '');
   ws.send(message);
@@ -39,7 +49,15 @@ function sendMessage(type, payload) {
 ws.on('open', function open() {
   console.log('✅ Connected to LockBlock server');
   nextStep();
-  
+
+  // Sign in before joining: the server sends a challenge to sign
+  sendMessage('auth:challenge', { eoa: TEST_PLAYER_EOA });
+});
+
+/**
+ * Creates and joins a room once signed in
+ */
+function joinRoom() {
   // Step 1: Create and join a room
   nextStep();
   sendMessage('joinRoom', {
@@ -48,7 +66,7 @@ ws.on('open', function open() {
     difficulty: 'normal'
     // No roomId means create new room
   });
-});
+}
 
 ws.on('message', function message(data) {
   try {
@@ -56,6 +74,17 @@ ws.on('message', function message(data) {
     console.log(`📥 Received: ${msg.type}`, msg);
     
     switch (msg.type) {
+      case 'auth:challenge':
+        wallet.signMessage(msg.message).then(signature => {
+          sendMessage('auth:verify', { signature });
+        });
+        break;
+
+      case 'auth:success':
+        console.log(`✅ Signed in as ${msg.eoa}`);
+        joinRoom();
+        break;
+
       case 'room:created':
         console.log('✅ Room created successfully!');
         console.log(`   Room ID: ${msg.roomId}`);
@@ -89,12 +118,19 @@ ws.on('message', function message(data) {
         break;
         
       case 'room:state':
-        console.log('✅ Game state updated:');
-        console.log(`   Player position: (${msg.player.position.x}, ${msg.player.position.y})`);
-        console.log(`   Player lives: ${msg.player.lives}`);
-        console.log(`   Player score: ${msg.player.score}`);
-        console.log(`   Current chunk: ${msg.currentChunk}`);
-        console.log(`   Game over: ${msg.isGameOver}`);
+      case 'room:delta':
+        if (msg.type === 'room:delta' && lastState?.version !== msg.baseVersion) {
+          // Missed an update - ask for a full snapshot
+          sendMessage('resync', { roomId });
+          break;
+        }
+        lastState = msg.type === 'room:state' ? msg : applyStateDelta(lastState, msg);
+        console.log(`✅ Game state updated (v${lastState.version}, ack ${lastState.lastProcessedSeq}):`);
+        console.log(`   Player position: (${lastState.player.position.x}, ${lastState.player.position.y})`);
+        console.log(`   Player lives: ${lastState.player.lives}`);
+        console.log(`   Player score: ${lastState.player.score}`);
+        console.log(`   Current chunk: ${lastState.currentChunk}`);
+        console.log(`   Game over: ${lastState.isGameOver}`);
         break;
         
       case 'game:over':
@@ -132,6 +168,12 @@ ws.on('message', function message(data) {
   }
 });
 
+// Picks the next uncollected item of the current chunk (the server rejects it if out of range)
+function nextCollectibleId() {
+  const chunk = lastState?.chunks[lastState.currentChunk];
+  return chunk?.collectibles.find(item => !item.collected)?.id || 'none';
+}
+
 function performPlayerActions() {
   console.log('🎮 Performing player actions...');
   
@@ -142,7 +184,7 @@ function performPlayerActions() {
       roomId,
       action: {
         type: 'move',
-        data: { direction: 'right', distance: 3 }
+        data: { direction: 'right', ticks: 10 }
       }
     });
   }, 500);
@@ -154,7 +196,7 @@ function performPlayerActions() {
       roomId,
       action: {
         type: 'interact',
-        data: { objectType: 'coin', value: 15 }
+        data: { entityId: nextCollectibleId() }
       }
     });
   }, 1500);
@@ -166,7 +208,7 @@ function performPlayerActions() {
       roomId,
       action: {
         type: 'jump',
-        data: {}
+        data: { direction: 'right', ticks: 20 }
       }
     });
   }, 2500);
@@ -178,46 +220,28 @@ function performPlayerActions() {
       roomId,
       action: {
         type: 'interact',
-        data: { objectType: 'gem', value: 20 }
+        data: { entityId: nextCollectibleId() }
       }
     });
   }, 3500);
   
-  // Action 5: Complete first chunk
+  // Action 5: Keep running and jumping right. Chunks are only completed
+  // when the server sees the player reach the exit zone.
   setTimeout(() => {
-    console.log('   🏁 Completing chunk');
-    sendMessage('action', {
-      roomId,
-      action: {
-        type: 'complete_chunk',
-        data: {}
+    console.log('   🏃 Running towards the exit');
+    let step = 0;
+    const runner = setInterval(() => {
+      if (ws.readyState !== WebSocket.OPEN || lastState?.isGameOver || step >= 200) {
+        clearInterval(runner);
+        return;
       }
-    });
+      const action = step % 3 === 2
+        ? { type: 'jump', data: { direction: 'right', ticks: 20 } }
+        : { type: 'move', data: { direction: 'right', ticks: 8 } };
+      sendMessage('action', { roomId, action });
+      step++;
+    }, 300);
   }, 4500);
-  
-  // Action 6: Complete second chunk
-  setTimeout(() => {
-    console.log('   🏁 Completing second chunk');
-    sendMessage('action', {
-      roomId,
-      action: {
-        type: 'complete_chunk',
-        data: {}
-      }
-    });
-  }, 5500);
-  
-  // Action 7: Complete final chunk (win the game)
-  setTimeout(() => {
-    console.log('   🏆 Completing final chunk (winning!)');
-    sendMessage('action', {
-      roomId,
-      action: {
-        type: 'complete_chunk',
-        data: {}
-      }
-    });
-  }, 6500);
 }
 
 ws.on('close', function close() {
@@ -3,9 +3,13 @@
  */
 
 import WebSocket from 'ws';
+import { ethers } from 'ethers';
+import { applyStateDelta } from './src/services/stateSync.js';
 
 const SERVER_URL = 'ws://localhost:8080';
-const TEST_PLAYER_EOA = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'; // Vitalik's address
+// Throwaway wallet; the server only accepts addresses the client can sign for
+const wallet = ethers.Wallet.createRandom();
+const TEST_PLAYER_EOA = wallet.address;
 
 console.log('🎮 Testing LockBlock Server - Losing Scenario\n');
 
@@ -14,6 +18,9 @@ const ws = new WebSocket(SERVER_URL);
 
 let roomId = null;
 let testStep = 0;
+let actionSeq = 0;
+let gameOver = false;
+let lastState = null;
 
 const testSteps = [
   'Connect to server',
@@ -31,6 +38,10 @@ function nextStep() {
 }
 
 function sendMessage(type, payload) {
+  // Every action carries an increasing input sequence number
+  if (type === 'action') {
+    payload = { ...payload, seq: ++actionSeq };
+  }
   const message = JSON.stringify({ type, payload });
   console.log(`📤 Sending: ${type}`, payload ? JSON.stringify(payload, null, 2) : '');
   ws.send(message);
@@ -39,7 +50,15 @@ function sendMessage(type, payload) {
 ws.on('open', function open() {
   console.log('✅ Connected to LockBlock server');
   nextStep();
-  
+
+  // Sign in before joining: the server sends a challenge to sign
+  sendMessage('auth:challenge', { eoa: TEST_PLAYER_EOA });
+});
+
+/**
+ * Creates and joins a room once signed in
+ */
+function joinRoom() {
   // Step 1: Create and join a room
   nextStep();
   sendMessage('joinRoom', {
@@ -48,7 +67,7 @@ ws.on('open', function open() {
     difficulty: 'hard'
     // No roomId means create new room
   });
-});
+}
 
 ws.on('message', function message(data) {
   try {
@@ -56,6 +75,17 @@ ws.on('message', function message(data) {
     console.log(`📥 Received: ${msg.type}`, msg);
     
     switch (msg.type) {
+      case 'auth:challenge':
+        wallet.signMessage(msg.message).then(signature => {
+          sendMessage('auth:verify', { signature });
+        });
+        break;
+
+      case 'auth:success':
+        console.log(`✅ Signed in as ${msg.eoa}`);
+        joinRoom();
+        break;
+
       case 'room:created':
         console.log('✅ Room created successfully!');
         console.log(`   Room ID: ${msg.roomId}`);
@@ -87,12 +117,20 @@ ws.on('message', function message(data) {
         break;
         
       case 'room:state':
-        console.log('✅ Game state updated:');
-        console.log(`   Player lives: ${msg.player.lives}`);
-        console.log(`   Player score: ${msg.player.score}`);
-        console.log(`   Game over: ${msg.isGameOver}`);
+      case 'room:delta':
+        if (msg.type === 'room:delta' && lastState?.version !== msg.baseVersion) {
+          // Missed an update - ask for a full snapshot
+          sendMessage('resync', { roomId });
+          break;
+        }
+        lastState = msg.type === 'room:state' ? msg : applyStateDelta(lastState, msg);
+        console.log(`✅ Game state updated (v${lastState.version}):`);
+        console.log(`   Player lives: ${lastState.player.lives}`);
+        console.log(`   Player score: ${lastState.player.score}`);
+        console.log(`   Game over: ${lastState.isGameOver}`);
         
-        if (msg.isGameOver && msg.gameResult === 'lose') {
+        gameOver = lastState.isGameOver;
+        if (lastState.isGameOver && lastState.gameResult === 'lose') {
           console.log('💀 Player lost the game!');
         }
         break;
@@ -136,42 +174,25 @@ ws.on('message', function message(data) {
 
 function loseAllLives() {
   console.log('💀 Losing all lives...');
-  
-  // Lose life 1
-  setTimeout(() => {
-    console.log('   💔 Losing life 1');
-    sendMessage('action', {
-      roomId,
-      action: {
-        type: 'lose_life',
-        data: {}
-      }
-    });
-  }, 500);
-  
-  // Lose life 2
-  setTimeout(() => {
-    console.log('   💔 Losing life 2');
-    sendMessage('action', {
-      roomId,
-      action: {
-        type: 'lose_life',
-        data: {}
-      }
-    });
-  }, 1500);
-  
-  // Lose life 3 (game over)
-  setTimeout(() => {
-    console.log('   💔 Losing final life (game over!)');
+
+  // Walking right without ever jumping runs into the first pit, spike or
+  // enemy; the server detects the hit and respawns the player until no
+  // lives are left.
+  let step = 0;
+  const walker = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN || gameOver || step >= 200) {
+      clearInterval(walker);
+      return;
+    }
     sendMessage('action', {
       roomId,
       action: {
-        type: 'lose_life',
-        data: {}
+        type: 'move',
+        data: { direction: 'right', ticks: 30 }
       }
     });
-  }, 2500);
+    step++;
+  }, 300);
 }
 
 ws.on('close', function close() {
@@ -2,9 +2,34 @@
  * Simple test script for LockBlock server functionality
  */
 
-import { createGame, processAction, formatGameState, formatGameOverMessage } from './src/services/lockBlock.js';
+import { createGame, processAction, processTimeout, formatGameState, formatGameOverMessage } from './src/services/lockBlock.js';
 import { getRewardPool, addToRewardPool, withdrawFromRewardPool, getRewardPoolStats } from './src/services/rewardPool.js';
 import { createRoomManager } from './src/services/roomManager.js';
+import { getGameMode, getLockedAllocations } from './src/services/gameModes.js';
+import { sameTotal } from './src/utils/amounts.js';
+import { createRace, processRaceAction, processRaceTimeout, abandonRace, formatRaceState } from './src/services/race.js';
+import { createReplayRecord, replayGame, computeActionLogRoot } from './src/services/replays.js';
+import { loadLevelPacks } from './src/services/levelPacks.js';
+import { getCurrentContent, getContent, loadContentSnapshot } from './src/services/contentRegistry.js';
+import {
+  createAuthChallenge,
+  verifyAuthChallenge,
+  resumeSession,
+  getAuthenticatedAddress,
+  clearAuthentication
+} from './src/services/auth.js';
+import { initializeRPCClient } from './src/services/nitroliteRPC.js';
+import {
+  generateAppSessionMessage,
+  createAppSession,
+  submitAppState,
+  closeAppSession,
+  getAppSession
+} from './src/services/appSessions.js';
+import { handleAction, handlePlayerDisconnect } from './src/routes/gameRoutes.js';
+import { handleAppSessionSignature, handleAppSessionStartGame } from './src/routes/appSessionRoutes.js';
+import { ethers } from 'ethers';
+import { WebSocketServer } from 'ws';
 
 console.log('🎮 Testing LockBlock Server Implementation\n');
 
@@ -21,16 +46,67 @@ console.log('   Lives:', gameState.player.lives);
 console.log('   Entry Deposit:', gameState.entryDeposit);
 console.log('   Current Pool:', gameState.rewardPool.totalAmount);
 console.log('   Chunks:', gameState.chunks.length);
+console.log('   Seed:', gameState.seed);
+
+// Same seed must always produce identical chunks
+const regenerated = createGame(playerEoa, entryDeposit, currentPool, { seed: gameState.seed });
+if (JSON.stringify(regenerated.chunks) === JSON.stringify(gameState.chunks)) {
+  console.log('✅ Chunks are reproducible from the seed');
+} else {
+  console.log('❌ Chunks differ for the same seed');
+}
+
+// Level packs from the levels directory replace the generated chunks
+const levelPackResult = await loadLevelPacks();
+if (levelPackResult.loaded.includes('starter') && levelPackResult.rejected.length === 0) {
+  const packGame = createGame(playerEoa, entryDeposit, currentPool, { levelPack: 'starter' });
+  console.log('✅ Level packs loaded:', levelPackResult.loaded.join(', '));
+  console.log('   Starter pack chunks:', packGame.chunks.map(chunk => chunk.name).join(', '));
+} else {
+  console.log('❌ Level packs failed to load:', levelPackResult.rejected);
+}
+
+// Publishing content only affects new games: running games keep their version
+const pinnedContent = getContent(gameState.content.hash);
+const pinnedGame = createGame(playerEoa, entryDeposit, currentPool, { seed: gameState.seed, content: pinnedContent });
+if (getCurrentContent().hash !== gameState.content.hash &&
+    JSON.stringify(pinnedGame.chunks) === JSON.stringify(gameState.chunks)) {
+  console.log('✅ Games stay on the content version they started with:', gameState.content.version);
+} else {
+  console.log('❌ Game content changed after a new publish');
+}
+
+// Versions survive a restart: a fresh registry reads the saved snapshots, so
+// the same content keeps its version and new content gets the next one
+await new Promise(resolve => setTimeout(resolve, 200));
+const restartedRegistry = await import('./src/services/contentRegistry.js?restart');
+const { themes: currentThemes, levelPacks: currentPacks } = getCurrentContent();
+const republished = restartedRegistry.publishContent({ themes: currentThemes, levelPacks: currentPacks }, 'test');
+const newPublish = restartedRegistry.publishContent({ themes: currentThemes.slice(1), levelPacks: currentPacks }, 'test');
+if (republished.version === getCurrentContent().version && newPublish.version > republished.version) {
+  console.log('✅ Content versions are stable across restarts:', republished.version, newPublish.version);
+} else {
+  console.log('❌ Content versions changed after a restart:', republished.version, getCurrentContent().version);
+}
+
+// Snapshot paths are only built from well-formed hashes
+const badHash = await loadContentSnapshot('../package').then(() => null, error => error.message);
+console.log(badHash ? `✅ Malformed content hash rejected: ${badHash}` : '❌ Malformed content hash accepted');
 console.log('');
 
 // Test 2: Player Actions
 console.log('2. Testing Player Actions...');
 
+// Actions are applied a second of game time apart, so the server clock
+// always has enough ticks for them
+let testClock = gameState.startTime;
+const later = () => (testClock += 1000);
+
 // Test movement
 let actionResult = processAction(gameState, {
   type: 'move',
-  data: { direction: 'right', distance: 5 }
-}, playerEoa);
+  data: { direction: 'right', ticks: 5 }
+}, playerEoa, later());
 
 if (actionResult.success) {
   console.log('✅ Movement action successful');
@@ -39,31 +115,213 @@ if (actionResult.success) {
   console.log('❌ Movement action failed:', actionResult.error);
 }
 
-// Test interaction
+// Simulated ticks can't run ahead of the server clock: a burst of actions
+// only gets the ticks that elapsed since the simulation last caught up
+const clockState = createGame(playerEoa, entryDeposit, currentPool, { seed: gameState.seed, now: 0 });
+const earlyResult = processAction(clockState, { type: 'idle', data: { ticks: 30 } }, playerEoa, 0);
+const clampedResult = processAction(clockState, { type: 'idle', data: { ticks: 30 } }, playerEoa, 100);
+const burstResult = processAction(clampedResult.gameState, { type: 'idle', data: { ticks: 30 } }, playerEoa, 100);
+if (!earlyResult.success && clampedResult.gameState?.tick === 3 && !burstResult.success) {
+  console.log('✅ Ticks limited to server time elapsed:', clampedResult.gameState.tick, 'after 100ms');
+} else {
+  console.log('❌ Ticks not limited by server time:', earlyResult.success, clampedResult.gameState?.tick, burstResult.success);
+}
+
+// Test jump (simulated arc: the player should be airborne mid-jump)
+actionResult = processAction(actionResult.gameState, {
+  type: 'jump',
+  data: { direction: 'right', ticks: 6 }
+}, playerEoa, later());
+
+if (actionResult.success && !actionResult.gameState.player.onGround) {
+  console.log('✅ Jump action successful');
+  console.log('   Airborne at:', actionResult.gameState.player.position);
+} else {
+  console.log('❌ Jump action failed:', actionResult.error || 'player did not leave the ground');
+}
+
+// Let the player land again
 actionResult = processAction(actionResult.gameState, {
+  type: 'idle',
+  data: { ticks: 30 }
+}, playerEoa, later());
+console.log('   Landed:', actionResult.gameState.player.onGround, actionResult.gameState.player.position);
+
+// Test interaction: unknown IDs and far away items are rejected
+const collectible = actionResult.gameState.chunks[0].collectibles.at(-1);
+
+let rejected = processAction(actionResult.gameState, {
   type: 'interact',
-  data: { objectType: 'coin', value: 10 }
-}, playerEoa);
+  data: { entityId: 'does-not-exist' }
+}, playerEoa, later());
+console.log(rejected.success ? '❌ Unknown collectible accepted' : `✅ Unknown collectible rejected: ${rejected.error}`);
+
+rejected = processAction(actionResult.gameState, {
+  type: 'interact',
+  data: { entityId: collectible.id }
+}, playerEoa, later());
+console.log(rejected.success ? '❌ Out of range collectible accepted' : `✅ Out of range collectible rejected: ${rejected.error}`);
+
+// Place the player on the collectible and pick it up
+const nearState = {
+  ...actionResult.gameState,
+  player: { ...actionResult.gameState.player, position: { x: collectible.x, y: collectible.y } }
+};
+actionResult = processAction(nearState, {
+  type: 'interact',
+  data: { entityId: collectible.id }
+}, playerEoa, later());
 
 if (actionResult.success) {
   console.log('✅ Interaction action successful');
-  console.log('   New score:', actionResult.gameState.player.score);
+  console.log('   Collected:', collectible.type, 'New score:', actionResult.gameState.player.score);
 } else {
   console.log('❌ Interaction action failed:', actionResult.error);
 }
 
-// Test chunk completion
-actionResult = processAction(actionResult.gameState, {
+rejected = processAction(actionResult.gameState, {
+  type: 'interact',
+  data: { entityId: collectible.id }
+}, playerEoa, later());
+console.log(rejected.success ? '❌ Collectible collected twice' : `✅ Second pickup rejected: ${rejected.error}`);
+
+// Clients can no longer declare chunk completion or life loss
+rejected = processAction(actionResult.gameState, {
   type: 'complete_chunk',
   data: {}
-}, playerEoa);
+}, playerEoa, later());
+console.log(rejected.success ? '❌ Client-declared chunk completion accepted' : `✅ Client-declared chunk completion rejected: ${rejected.error}`);
 
-if (actionResult.success) {
-  console.log('✅ Chunk completion successful');
+// Test chunk completion: walk into the exit zone of the first chunk
+const firstChunk = actionResult.gameState.chunks[0];
+const nearExitState = {
+  ...actionResult.gameState,
+  player: {
+    ...actionResult.gameState.player,
+    position: { x: firstChunk.exit.x - 20, y: firstChunk.spawn.y }
+  }
+};
+actionResult = processAction(nearExitState, {
+  type: 'move',
+  data: { direction: 'right', ticks: 10 }
+}, playerEoa, later());
+
+if (actionResult.success && actionResult.events.some(event => event.type === 'chunk_completed')) {
+  console.log('✅ Chunk completion detected by the server');
   console.log('   Current chunk:', actionResult.gameState.currentChunk);
   console.log('   Score after bonus:', actionResult.gameState.player.score);
 } else {
-  console.log('❌ Chunk completion failed:', actionResult.error);
+  console.log('❌ Chunk completion not detected:', actionResult.error);
+}
+
+// Test life loss: drop the player below the chunk floor (without a shield picked up earlier)
+const fallingState = {
+  ...actionResult.gameState,
+  activeEffects: {},
+  player: {
+    ...actionResult.gameState.player,
+    position: { x: 0, y: actionResult.gameState.chunks[1].height * 16 }
+  }
+};
+const fallResult = processAction(fallingState, { type: 'idle', data: { ticks: 1 } }, playerEoa, later());
+const lifeLost = fallResult.events.find(event => event.type === 'life_lost');
+if (lifeLost) {
+  console.log(`✅ Life loss detected by the server (${lifeLost.cause})`);
+  console.log('   Lives left:', fallResult.gameState.player.lives);
+  console.log('   Respawned at:', fallResult.gameState.player.position);
+} else {
+  console.log('❌ Life loss not detected');
+}
+
+// Test checkpoints: touching one moves the respawn point there
+const checkpointChunk = fallResult.gameState.chunks[fallResult.gameState.currentChunk];
+const [checkpoint] = checkpointChunk.checkpoints;
+const checkpointResult = processAction({
+  ...fallResult.gameState,
+  player: { ...fallResult.gameState.player, position: { ...checkpoint.respawn } }
+}, { type: 'idle', data: { ticks: 1 } }, playerEoa, later());
+const respawnResult = processAction({
+  ...checkpointResult.gameState,
+  player: { ...checkpointResult.gameState.player, position: { x: 0, y: checkpointChunk.height * 16 } }
+}, { type: 'idle', data: { ticks: 1 } }, playerEoa, later());
+if (checkpointResult.events.some(event => event.type === 'checkpoint_reached')
+  && respawnResult.gameState.player.position.x === checkpoint.respawn.x) {
+  console.log(`✅ Checkpoint ${checkpoint.id} reached and used as respawn point`);
+} else {
+  console.log('❌ Checkpoint not used:', checkpointResult.events, respawnResult.gameState.player.position);
+}
+
+// Test power-ups: an active shield absorbs the next life loss
+const shieldedResult = processAction({
+  ...respawnResult.gameState,
+  activeEffects: { shield: 10 },
+  player: { ...respawnResult.gameState.player, position: { x: 0, y: checkpointChunk.height * 16 } }
+}, { type: 'idle', data: { ticks: 1 } }, playerEoa, later());
+if (shieldedResult.events.some(event => event.type === 'shield_used')
+  && shieldedResult.gameState.player.lives === respawnResult.gameState.player.lives
+  && shieldedResult.gameState.activeEffects.shield === undefined) {
+  console.log('✅ Shield absorbed a life loss');
+} else {
+  console.log('❌ Shield not applied:', shieldedResult.events);
+}
+
+// Test entities: enemies patrol as the simulation advances
+const patrolState = createGame(playerEoa, '0.25', currentPool, { seed: 1, difficulty: 'insane' });
+const patrolChunk = patrolState.chunks.findIndex(chunk => chunk.obstacles.some(obstacle => obstacle.type === 'enemy'));
+const patrolStart = formatGameState({ ...patrolState, currentChunk: patrolChunk }, 'patrol').entities;
+const patrolEnd = formatGameState({ ...patrolState, currentChunk: patrolChunk, entityClock: 20 }, 'patrol').entities;
+if (patrolStart.some((entity, index) => entity.x !== patrolEnd[index].x)) {
+  console.log(`✅ Entities move (${patrolStart.length} in chunk ${patrolChunk})`);
+} else {
+  console.log('❌ Entities did not move');
+}
+
+// Test time limits: a hard run ends as a loss once its chunk clock runs out
+const timedState = createGame(playerEoa, '0.05', currentPool, { difficulty: 'hard', now: 0 });
+console.log('   Time remaining at start:', formatGameState(timedState, 'timed', 0).timeRemaining);
+const lateResult = processAction(timedState, { type: 'idle', data: { ticks: 1 } }, playerEoa, timedState.timeLimits.chunk);
+const silentResult = processTimeout(timedState, timedState.timeLimits.chunk);
+if (lateResult.gameState.gameResult === 'lose' && silentResult.success && silentResult.gameState.gameResult === 'lose') {
+  console.log(`✅ Time limit ends the run (${silentResult.events[0].limit} limit)`);
+} else {
+  console.log('❌ Time limit not enforced');
+}
+
+// Test race mode: racers share the chunks, see each other as ghosts, and the
+// higher score wins when the race clock runs out
+const rivalEoa = '0x8ba1f109551bD432803012645Ac136ddd64DBA72';
+const race = createRace([playerEoa, rivalEoa], '0.05', { difficulty: 'hard', now: 0 });
+const raceView = formatRaceState(race, 'race', 0, playerEoa);
+const raceMove = processRaceAction(race, { type: 'move', data: { direction: 'right', ticks: 10 } }, playerEoa, 1000);
+const leadingRace = {
+  ...raceMove.gameState,
+  runners: {
+    ...raceMove.gameState.runners,
+    [playerEoa]: { ...raceMove.gameState.runners[playerEoa], player: { ...raceMove.gameState.runners[playerEoa].player, score: 50 } }
+  }
+};
+const raceEnd = processRaceTimeout(leadingRace, race.startTime + race.timeLimit);
+if (JSON.stringify(race.runners[playerEoa].chunks) === JSON.stringify(race.runners[rivalEoa].chunks) &&
+    raceView.ghosts[0].eoa === rivalEoa && raceEnd.gameState.winner === playerEoa) {
+  console.log(`✅ Race decided by score when time runs out (${raceEnd.gameState.endReason})`);
+} else {
+  console.log('❌ Race mode failed');
+}
+
+// Abandoning doesn't hand the pot to a rival who is already out with a lower score
+const rivalOutRace = {
+  ...leadingRace,
+  runners: {
+    ...leadingRace.runners,
+    [rivalEoa]: { ...leadingRace.runners[rivalEoa], isGameOver: true, gameResult: 'lose', player: { ...leadingRace.runners[rivalEoa].player, lives: 0 } }
+  }
+};
+const abandonedRace = abandonRace(rivalOutRace, playerEoa, 2000);
+const rivalRunningAbandon = abandonRace(leadingRace, playerEoa, 2000);
+if (abandonedRace.gameState.winner === playerEoa && rivalRunningAbandon.gameState.winner === rivalEoa) {
+  console.log('✅ Abandoned race goes to the leader once the rival is out');
+} else {
+  console.log('❌ Abandoned race winner:', abandonedRace.gameState.winner, rivalRunningAbandon.gameState.winner);
 }
 console.log('');
 
@@ -95,11 +353,19 @@ if (withdrawResult.success) {
   console.log('❌ Failed to withdraw from pool:', withdrawResult.error);
 }
 
+// Abandoned games are losses that are also counted separately
+addToRewardPool('0.01', playerEoa, { abandoned: true });
+
 // Get pool stats
 const poolStats = getRewardPoolStats();
 console.log('✅ Pool statistics:');
 console.log('   Win rate:', poolStats.winRate);
 console.log('   Total games:', poolStats.totalGames);
+if (poolStats.totalAbandoned === 1 && poolStats.totalLosses === 2) {
+  console.log('✅ Abandoned game recorded as a loss:', poolStats.totalAbandoned);
+} else {
+  console.log('❌ Abandoned game not recorded:', poolStats);
+}
 console.log('');
 
 // Test 4: Room Manager
@@ -108,7 +374,7 @@ console.log('4. Testing Room Manager...');
 const roomManager = createRoomManager();
 
 // Create room
-const roomId = roomManager.createRoom('0.02', 'hard');
+const roomId = roomManager.createRoom({ entryDeposit: '0.02', settings: { difficulty: 'hard', levelPack: null } });
 console.log('✅ Room created:', roomId);
 
 // Mock WebSocket
@@ -127,10 +393,130 @@ if (joinResult.success) {
 // Get room
 const room = roomManager.rooms.get(roomId);
 console.log('✅ Room details:');
-console.log('   Player EOA:', room.player.eoa);
-console.log('   Entry deposit:', room.player.entryDeposit);
-console.log('   Difficulty:', room.difficulty);
+console.log('   Mode:', room.mode);
+console.log('   Player EOA:', room.players[0]);
+console.log('   Entry deposit:', room.entryDeposit);
+console.log('   Difficulty:', room.settings.difficulty);
 console.log('   Ready:', room.isReady);
+
+// Input sequence numbers must increase; duplicates are rejected. The game
+// started a second ago so the server clock has ticks for the inputs.
+room.gameState = getGameMode(room.mode).createGame(room, Date.now() - 1000);
+const idleAction = { type: 'idle', data: { ticks: 1 } };
+const firstInput = roomManager.processPlayerAction(roomId, idleAction, playerEoa, 1);
+const duplicateInput = roomManager.processPlayerAction(roomId, idleAction, playerEoa, 1);
+if (firstInput.success && !duplicateInput.success) {
+  console.log('✅ Input acknowledged with seq', firstInput.lastProcessedSeq);
+  console.log('   Duplicate rejected:', duplicateInput.error);
+} else {
+  console.log('❌ Sequence number handling failed');
+}
+
+// Two-player modes are ready once both seats are taken and settle between the players
+const guestEoa = '0x8ba1f109551bD432803012645Ac136ddd64DBA72';
+const tttRoomId = roomManager.createRoom({ mode: 'tictactoe', entryDeposit: '0.05' });
+roomManager.joinRoom(tttRoomId, '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', mockWs);
+const tttJoin = roomManager.joinRoom(tttRoomId, guestEoa, mockWs);
+const tttRoom = roomManager.rooms.get(tttRoomId);
+tttRoom.gameState = getGameMode('tictactoe').createGame(tttRoom, Date.now());
+let tttResult;
+[0, 3, 1, 4, 2].forEach((pos, index) => {
+  tttResult = roomManager.processPlayerAction(tttRoomId, { type: 'move', data: { pos } }, tttRoom.players[index % 2], index + 1);
+});
+const tttSettlement = getGameMode('tictactoe').computeSettlement(tttRoom, tttRoom.gameState);
+if (tttJoin.isRoomReady && tttResult.isGameOver && tttResult.winner === tttRoom.players[0] &&
+    tttSettlement.allocations[0] === '0.1') {
+  console.log('✅ Tic Tac Toe room played to a win, allocations:', tttSettlement.allocations.join(', '));
+} else {
+  console.log('❌ Tic Tac Toe mode failed:', tttResult);
+}
+
+// Settlements pay out exactly what the room's deposit locked into the app session
+const lockedTtt = getLockedAllocations(tttRoom);
+const lockedSolo = getLockedAllocations(room);
+const soloWin = getGameMode('lockblock').computeSettlement(room, { gameResult: 'win' });
+const soloLoss = getGameMode('lockblock').computeSettlement(room, { gameResult: 'lose' });
+if (lockedTtt.join() === '0.05,0.05,0' && lockedSolo.join() === '0.02,0,0' &&
+    sameTotal(tttSettlement.allocations, lockedTtt) &&
+    sameTotal(soloWin.allocations, lockedSolo) && sameTotal(soloLoss.allocations, lockedSolo)) {
+  console.log('✅ Settlements match the locked deposits:', lockedTtt.join(', '), '/', lockedSolo.join(', '));
+} else {
+  console.log('❌ Settlement does not match the locked deposits:', lockedTtt, tttSettlement, lockedSolo);
+}
+
+// Leaving before the game starts frees the seat and tells the rest of the room
+const leaveHostEoa = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const leaveGuestEoa = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+const leaveHostMessages = [];
+const leaveHostWs = { readyState: 1, send: message => leaveHostMessages.push(JSON.parse(message)) };
+const leaveGuestWs = { readyState: 1, send: () => {} };
+const leaveRoomId = roomManager.createRoom({ mode: 'tictactoe', entryDeposit: '0.05' });
+roomManager.joinRoom(leaveRoomId, leaveHostEoa, leaveHostWs);
+roomManager.joinRoom(leaveRoomId, leaveGuestEoa, leaveGuestWs);
+const leaveConnections = new Map([
+  [leaveHostEoa, { ws: leaveHostWs, roomId: leaveRoomId }],
+  [leaveGuestEoa, { ws: leaveGuestWs, roomId: leaveRoomId }]
+]);
+await handlePlayerDisconnect(leaveGuestWs, { roomManager, connections: leaveConnections });
+const leftNotice = leaveHostMessages.find(message => message.type === 'room:playerLeft');
+roomManager.leaveRoom(leaveHostEoa);
+if (leftNotice && leftNotice.players.join() === leaveHostEoa && !leftNotice.isReady &&
+    !leaveHostMessages.some(message => message.type === 'room:state')) {
+  console.log('✅ Remaining players told about the freed seat:', leftNotice.players.length, 'left');
+} else {
+  console.log('❌ Leave notice missing or wrong:', leaveHostMessages);
+}
+
+// A dropped player's seat is held with the clock paused until they resume
+const resumeEoa = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const resumeRoomId = roomManager.createRoom();
+roomManager.joinRoom(resumeRoomId, resumeEoa, mockWs);
+const resumeRoom = roomManager.rooms.get(resumeRoomId);
+resumeRoom.gameState = getGameMode(resumeRoom.mode).createGame(resumeRoom, Date.now());
+const disconnectResult = roomManager.disconnectPlayer(resumeEoa);
+const pausedAction = roomManager.processPlayerAction(resumeRoomId, idleAction, resumeEoa, 1);
+const resumeResult = roomManager.resumeRoom(resumeRoomId, resumeEoa, mockWs);
+const serverActions = resumeRoom.actionLog.map(entry => entry.action.type).join(', ');
+roomManager.leaveRoom(resumeEoa);
+if (disconnectResult.held && disconnectResult.clock === 'pause' && !pausedAction.success &&
+    resumeResult.success && resumeRoom.gameState.pausedAt === null && serverActions === 'pause, resume') {
+  console.log('✅ Seat held on disconnect and resumed, logged:', serverActions);
+} else {
+  console.log('❌ Reconnect handling failed:', disconnectResult, resumeResult);
+}
+
+// Spectators get broadcasts but have no seat and don't keep the room open
+const spectatorMessages = [];
+const spectatorWs = { readyState: 1, send: message => spectatorMessages.push(JSON.parse(message)) };
+const spectateResult = roomManager.spectateRoom(roomId, spectatorWs);
+roomManager.broadcastGameState(roomId, { snapshot: true });
+const spectatorAction = roomManager.processPlayerAction(roomId, idleAction, guestEoa, 10);
+roomManager.leaveRoom(playerEoa);
+if (spectateResult.success && spectatorMessages[0]?.type === 'room:state' && !spectatorAction.success &&
+    !roomManager.rooms.has(roomId) && spectatorMessages.at(-1).type === 'room:closed') {
+  console.log('✅ Spectator watched the room and was detached when it closed');
+} else {
+  console.log('❌ Spectator handling failed');
+}
+
+// Taking a seat ends spectating, so the old room's broadcasts stop
+const watchedRoomId = roomManager.createRoom({ mode: 'tictactoe', entryDeposit: '0.05' });
+const seatedRoomId = roomManager.createRoom({ mode: 'tictactoe', entryDeposit: '0.05' });
+const switchingMessages = [];
+const switchingWs = { readyState: 1, send: message => switchingMessages.push(JSON.parse(message)) };
+roomManager.spectateRoom(watchedRoomId, switchingWs);
+const seatedJoin = roomManager.joinRoom(seatedRoomId, leaveGuestEoa, switchingWs);
+roomManager.broadcastToRoom(watchedRoomId, 'room:state', { roomId: watchedRoomId });
+roomManager.broadcastToRoom(seatedRoomId, 'room:state', { roomId: seatedRoomId });
+const seatedMessages = switchingMessages.map(message => message.roomId);
+roomManager.leaveRoom(leaveGuestEoa);
+roomManager.closeRoom(watchedRoomId);
+if (seatedJoin.spectatorsLeft?.roomId === watchedRoomId && seatedJoin.spectatorsLeft.count === 0 &&
+    seatedMessages.join() === seatedRoomId) {
+  console.log('✅ Spectator who took a seat elsewhere stopped watching the first room');
+} else {
+  console.log('❌ Spectator kept watching after taking a seat:', seatedJoin, seatedMessages);
+}
 console.log('');
 
 // Test 5: Game State Formatting
@@ -148,7 +534,291 @@ const gameOverMessage = formatGameOverMessage(gameOverState);
 console.log('✅ Game over message:');
 console.log('   Result:', gameOverMessage.gameResult);
 console.log('   Player score:', gameOverMessage.playerScore);
+console.log('   Score breakdown:', gameOverMessage.scoreBreakdown);
 console.log('   Reward amount:', gameOverMessage.rewardAmount);
 console.log('');
 
+// Test 6: Replay Verification
+console.log('6. Testing Replay Verification...');
+
+// Record a short game: walk right until something happens
+let replayState = createGame(playerEoa, entryDeposit, currentPool);
+const actionLog = [];
+while (!replayState.isGameOver && actionLog.length < 200) {
+  const action = { type: 'move', data: { direction: 'right', ticks: 30 } };
+  const timestamp = replayState.startTime + (actionLog.length + 1) * 1000;
+  const result = processAction(replayState, action, playerEoa, timestamp);
+  replayState = result.gameState;
+  actionLog.push({ seq: actionLog.length + 1, timestamp, action, events: result.events });
+}
+
+const record = createReplayRecord(roomId, replayState, actionLog);
+const replayResult = replayGame(record.seed, record);
+if (replayResult.verified) {
+  console.log('✅ Replay reproduces the recorded result');
+  console.log('   Result:', record.result.gameResult, 'Score:', record.result.score, 'Actions:', actionLog.length);
+} else {
+  console.log('❌ Replay does not match:', replayResult.error || replayResult.replayed);
+}
+
+// A tampered score must not verify
+const tampered = { ...record, result: { ...record.result, score: record.result.score + 1000 } };
+console.log(replayGame(tampered.seed, tampered).verified ? '❌ Tampered result verified' : '✅ Tampered result rejected');
+
+// Races are recorded too: each racer's actions replay on their own run, and a
+// server-side abandon on the race
+let recordedRace = createRace([playerEoa, rivalEoa], '0.05', { now: 0 });
+const raceLog = [];
+const logRaceEntry = (result, entry) => {
+  recordedRace = result.gameState;
+  raceLog.push({ seq: raceLog.length + 1, ...entry, events: result.events });
+};
+for (let i = 1; i <= 4; i++) {
+  const racer = i % 2 ? playerEoa : rivalEoa;
+  const action = { type: 'move', data: { direction: 'right', ticks: 10 } };
+  const result = processRaceAction(recordedRace, action, racer, i * 1000);
+  if (result.success) {
+    logRaceEntry(result, { clientSeq: Math.ceil(i / 2), player: racer, timestamp: i * 1000, action });
+  }
+}
+logRaceEntry(abandonRace(recordedRace, rivalEoa, 7000), { clientSeq: null, player: rivalEoa, timestamp: 7000, action: { type: 'abandon' } });
+const raceRecord = createReplayRecord('race-room', recordedRace, raceLog, 'race');
+const raceReplay = replayGame(raceRecord.seed, raceRecord);
+const tamperedRace = { ...raceRecord, result: { ...raceRecord.result, winner: rivalEoa } };
+if (raceReplay.verified && raceRecord.result.winner === playerEoa && !replayGame(tamperedRace.seed, tamperedRace).verified) {
+  console.log('✅ Race replay reproduces the recorded winner:', raceRecord.result.endReason, 'Actions:', raceLog.length);
+} else {
+  console.log('❌ Race replay does not match:', raceReplay.error || raceReplay.replayed, raceRecord.result);
+}
+
+// App state updates commit to the action log through its Merkle root
+const logRoot = computeActionLogRoot(actionLog);
+const rootIsStable = logRoot === computeActionLogRoot(actionLog.map(entry => ({ ...entry })));
+const rootCoversEntries = logRoot !== computeActionLogRoot(actionLog.slice(0, -1))
+  && logRoot !== computeActionLogRoot([{ ...actionLog[0], timestamp: actionLog[0].timestamp + 1 }, ...actionLog.slice(1)]);
+console.log(rootIsStable && rootCoversEntries ? '✅ Action log root commits to every entry' : '❌ Action log root does not commit to the log');
+console.log('');
+
+// Test 7: Wallet Sign-in
+console.log('7. Testing Wallet Sign-in...');
+
+// Only a signature from the claimed address over the issued challenge signs in
+const wallet = ethers.Wallet.createRandom();
+const impostor = ethers.Wallet.createRandom();
+const authWs = {};
+const forgedChallenge = createAuthChallenge(authWs, wallet.address);
+const forged = verifyAuthChallenge(authWs, await impostor.signMessage(forgedChallenge.message));
+const challenge = createAuthChallenge(authWs, wallet.address);
+const signature = await wallet.signMessage(challenge.message);
+const signIn = verifyAuthChallenge(authWs, signature);
+const replayedSignIn = verifyAuthChallenge(authWs, signature);
+if (!forged.success && signIn.success && getAuthenticatedAddress(authWs) === wallet.address && !replayedSignIn.success) {
+  console.log('✅ Signed in as', signIn.eoa);
+  console.log('   Forged signature rejected:', forged.error);
+  console.log('   Reused signature rejected:', replayedSignIn.error);
+} else {
+  console.log('❌ Wallet sign-in failed:', forged, signIn, replayedSignIn);
+}
+
+// A new connection resumes with the session token, which is then rotated;
+// signing out revokes the rotated token
+const resumedWs = {};
+const resumed = resumeSession(resumedWs, signIn.sessionToken);
+const reusedToken = resumeSession({}, signIn.sessionToken);
+clearAuthentication(resumedWs);
+const afterLogout = resumeSession({}, resumed.sessionToken);
+if (resumed.success && resumed.eoa === wallet.address && resumed.sessionToken !== signIn.sessionToken &&
+    !reusedToken.success && !afterLogout.success && getAuthenticatedAddress(resumedWs) === null) {
+  console.log('✅ Session resumed on a new connection with a rotated token');
+  console.log('   Used token rejected:', reusedToken.error);
+  console.log('   Token after logout rejected:', afterLogout.error);
+} else {
+  console.log('❌ Session resume failed:', resumed, reusedToken, afterLogout);
+}
+
+// Resuming signs out the connection that held the session, so a logout from
+// that connection can't leave the rotated token usable elsewhere
+const firstWs = {};
+const firstSignIn = createAuthChallenge(firstWs, wallet.address);
+const firstSession = verifyAuthChallenge(firstWs, await wallet.signMessage(firstSignIn.message));
+const secondWs = {};
+const rotated = resumeSession(secondWs, firstSession.sessionToken);
+const staleLogout = clearAuthentication(firstWs);
+const stillSignedIn = getAuthenticatedAddress(secondWs);
+clearAuthentication(secondWs);
+const revokedRotation = resumeSession({}, rotated.sessionToken);
+if (rotated.previousWs === firstWs && getAuthenticatedAddress(firstWs) === null && !staleLogout &&
+    stillSignedIn === wallet.address && !revokedRotation.success) {
+  console.log('✅ Resuming signs out the previous connection; logout revokes the rotated token');
+} else {
+  console.log('❌ Previous connection kept its session:', rotated, staleLogout, stillSignedIn, revokedRotation);
+}
+console.log('');
+
+// Test 8: App Sessions
+console.log('8. Testing App Sessions...');
+
+// A local ClearNode that signs the server in, records requests and accepts
+// app sessions, after an optional delay per method
+const clearnodeRequests = [];
+const clearnodeDelays = {};
+const clearnode = new WebSocketServer({ port: 0 });
+clearnode.on('connection', socket => socket.on('message', data => {
+  const message = JSON.parse(data.toString());
+  clearnodeRequests.push(message);
+  const [requestId, method, params, timestamp] = message.req;
+  let reply = null;
+  if (method === 'auth_request') {
+    reply = { res: [requestId, 'auth_verify', { success: true }, timestamp] };
+  } else if (method === 'create_app_session') {
+    reply = { res: [requestId, method, { app_session_id: '0xa5' }, timestamp] };
+  } else if (method === 'submit_app_state' && clearnodeRefusesState) {
+    reply = { err: [requestId, 400, 'invalid state', timestamp] };
+  } else if (method === 'submit_app_state' || method === 'close_app_session') {
+    reply = { res: [requestId, method, { app_session_id: params[0].app_session_id }, timestamp] };
+  }
+  if (reply) {
+    setTimeout(() => socket.send(JSON.stringify(reply)), clearnodeDelays[method] || 0);
+  }
+}));
+let clearnodeRefusesState = false;
+await new Promise(resolve => clearnode.on('listening', resolve));
+process.env.WS_URL = `ws://127.0.0.1:${clearnode.address().port}`;
+process.env.SERVER_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+process.env.USDC_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000001';
+const rpcClient = await initializeRPCClient();
+rpcClient.maxReconnectAttempts = 0;
+await new Promise(resolve => setTimeout(resolve, 300));
+
+const hostWallet = ethers.Wallet.createRandom();
+const guestWallet = ethers.Wallet.createRandom();
+const sessionMessages = { host: [], guest: [] };
+const sessionHostWs = { readyState: 1, send: message => sessionMessages.host.push(JSON.parse(message)) };
+const sessionGuestWs = { readyState: 1, send: message => sessionMessages.guest.push(JSON.parse(message)) };
+const sessionErrors = [];
+const sessionContext = {
+  roomManager,
+  connections: new Map(),
+  sendError: (ws, code) => sessionErrors.push({ ws, code })
+};
+const sessionRoomId = roomManager.createRoom({ mode: 'tictactoe', entryDeposit: '0.05' });
+roomManager.joinRoom(sessionRoomId, hostWallet.address, sessionHostWs);
+roomManager.joinRoom(sessionRoomId, guestWallet.address, sessionGuestWs);
+sessionContext.connections.set(hostWallet.address, { ws: sessionHostWs, roomId: sessionRoomId });
+sessionContext.connections.set(guestWallet.address, { ws: sessionGuestWs, roomId: sessionRoomId });
+const sessionRoom = roomManager.rooms.get(sessionRoomId);
+const { requestToSign } = await generateAppSessionMessage(sessionRoomId, hostWallet.address, guestWallet.address, {
+  allocations: getLockedAllocations(sessionRoom),
+  asset: sessionRoom.asset
+});
+const signRequest = wallet => wallet.signingKey.sign(ethers.id(JSON.stringify(requestToSign))).serialized;
+
+// Only the player's own key can sign for their seat
+await handleAppSessionSignature(sessionGuestWs, { roomId: sessionRoomId, signature: signRequest(hostWallet) }, sessionContext);
+const guestMismatch = sessionErrors.pop();
+await handleAppSessionSignature(sessionGuestWs, { roomId: sessionRoomId, signature: signRequest(guestWallet) }, sessionContext);
+const startRequest = sessionMessages.host.find(message => message.type === 'appSession:startGameRequest');
+if (guestMismatch?.code === 'SIGNATURE_MISMATCH' && guestMismatch.ws === sessionGuestWs && sessionErrors.length === 0 &&
+    sessionMessages.guest.some(message => message.type === 'appSession:signatureConfirmed') && startRequest) {
+  console.log('✅ Guest signature checked against their key, host asked to start');
+} else {
+  console.log('❌ Guest signature handling failed:', guestMismatch, sessionErrors, sessionMessages.guest);
+}
+
+// The host's signature is checked the same way before the session is created
+await handleAppSessionStartGame(sessionHostWs, { roomId: sessionRoomId, signature: signRequest(guestWallet) }, sessionContext);
+const hostMismatch = sessionErrors.pop();
+const createdEarly = clearnodeRequests.some(message => message.req[1] === 'create_app_session');
+await handleAppSessionStartGame(sessionHostWs, { roomId: sessionRoomId, signature: signRequest(hostWallet) }, sessionContext);
+const createRequest = clearnodeRequests.find(message => message.req[1] === 'create_app_session');
+const startedNotice = sessionMessages.host.find(message => message.type === 'game:started');
+if (hostMismatch?.code === 'SIGNATURE_MISMATCH' && !createdEarly && sessionErrors.length === 0 &&
+    createRequest?.sig.length === 3 && startedNotice?.appId === '0xa5' && sessionRoom.gameStarted) {
+  console.log('✅ Host signature checked, app session created and game started:', startedNotice.appId);
+} else {
+  console.log('❌ Host start failed:', hostMismatch, createdEarly, sessionErrors, createRequest, startedNotice);
+}
+
+// Progress updates go out as submit_app_state with the locked allocations;
+// refused ones are kept on the session
+const progressState = {
+  roomId: sessionRoomId,
+  mode: 'tictactoe',
+  progress: {},
+  stateHash: ethers.id('state'),
+  actionLogRoot: computeActionLogRoot([]),
+  actionCount: 0,
+  timestamp: Date.now()
+};
+const accepted = await submitAppState(sessionRoomId, progressState);
+clearnodeRefusesState = true;
+const refused = await submitAppState(sessionRoomId, { ...progressState, actionCount: 1 });
+const [submitRequest] = clearnodeRequests.filter(message => message.req[1] === 'submit_app_state');
+const [submitParams] = submitRequest?.req[2] || [];
+const sessionData = submitParams && JSON.parse(submitParams.session_data);
+const trackedSession = getAppSession(sessionRoomId);
+if (accepted && !refused && submitParams?.app_session_id === '0xa5' &&
+    submitParams.allocations.map(allocation => allocation.amount).join() === getLockedAllocations(sessionRoom).join() &&
+    sessionData.version === 1 && sessionData.stateHash === progressState.stateHash &&
+    sessionData.actionLogRoot === progressState.actionLogRoot &&
+    trackedSession.stateUpdates.length === 1 && trackedSession.failedStateUpdates[0]?.version === 2) {
+  console.log('✅ App state submitted as submit_app_state; refused version recorded:', trackedSession.failedStateUpdates[0].error);
+} else {
+  console.log('❌ App state submission failed:', submitRequest, accepted, refused, trackedSession);
+}
+
+// Closing waits for the queued update, isn't failed by that update's error
+// and drops updates queued after it
+clearnodeDelays.submit_app_state = 50;
+clearnodeDelays.close_app_session = 100;
+const requestsBeforeClose = clearnodeRequests.length;
+const [queuedUpdate, closed, lateUpdate] = await Promise.all([
+  submitAppState(sessionRoomId, { ...progressState, actionCount: 2 }),
+  closeAppSession(sessionRoomId, getLockedAllocations(sessionRoom)),
+  submitAppState(sessionRoomId, { ...progressState, actionCount: 3 })
+]);
+const closeRequests = clearnodeRequests.slice(requestsBeforeClose).map(message => message.req[1]);
+if (!queuedUpdate && closed && !lateUpdate && closeRequests.join() === 'submit_app_state,close_app_session' &&
+    trackedSession.failedStateUpdates.length === 2 && !getAppSession(sessionRoomId)) {
+  console.log('✅ App session closed after the queued update:', closeRequests.join(' → '));
+} else {
+  console.log('❌ Close did not wait for queued updates:', queuedUpdate, closed, lateUpdate, closeRequests);
+}
+roomManager.closeRoom(sessionRoomId);
+
+// A game that ends on an action closes its session with the final state
+const finalRoomId = roomManager.createRoom({ mode: 'tictactoe', entryDeposit: '0.05' });
+roomManager.joinRoom(finalRoomId, hostWallet.address, sessionHostWs);
+roomManager.joinRoom(finalRoomId, guestWallet.address, sessionGuestWs);
+const finalRoom = roomManager.rooms.get(finalRoomId);
+await createAppSession(finalRoomId, hostWallet.address, guestWallet.address, {
+  allocations: getLockedAllocations(finalRoom),
+  asset: finalRoom.asset
+});
+finalRoom.gameState = getGameMode('tictactoe').createGame(finalRoom, Date.now());
+finalRoom.gameStarted = true;
+const finalContext = { ...sessionContext, connections: new Map([
+  [hostWallet.address, { ws: sessionHostWs, roomId: finalRoomId }],
+  [guestWallet.address, { ws: sessionGuestWs, roomId: finalRoomId }]
+]) };
+for (const [index, pos] of [0, 3, 1, 4, 2].entries()) {
+  const ws = index % 2 ? sessionGuestWs : sessionHostWs;
+  await handleAction(ws, { roomId: finalRoomId, seq: Math.floor(index / 2) + 1, action: { type: 'move', data: { pos } } }, finalContext);
+}
+const finalClose = clearnodeRequests.filter(message => message.req[1] === 'close_app_session').at(-1);
+const finalData = finalClose?.req[2][0].session_data && JSON.parse(finalClose.req[2][0].session_data);
+if (finalData?.version === 1 && finalData.roomId === finalRoomId && finalData.actionCount === 5 &&
+    finalData.actionLogRoot === computeActionLogRoot(finalRoom.actionLog) &&
+    finalData.stateHash === ethers.id(JSON.stringify(finalRoom.gameState)) &&
+    finalData.result.winner === hostWallet.address && !getAppSession(finalRoomId)) {
+  console.log('✅ Close carries the final state:', finalData.result.gameResult, 'after', finalData.actionCount, 'actions');
+} else {
+  console.log('❌ Close is missing the final state:', finalClose, sessionErrors);
+}
+roomManager.closeRoom(finalRoomId);
+console.log('');
+
+rpcClient.ws.terminate();
+clearnode.close();
+
 console.log('🎉 All tests completed! LockBlock server implementation is working.');
@@ -0,0 +1,50 @@
+/**
+ * Offline replay verification for disputed LockBlock and race payouts
+ * Usage: node verify_replay.js replays/<file>.json
+ */
+
+import { loadReplay, replayGame } from './src/services/replays.js';
+import { loadContentSnapshot } from './src/services/contentRegistry.js';
+
+const filePath = process.argv[2];
+
+if (!filePath) {
+  console.log('Usage: node verify_replay.js <replay-file.json>');
+  process.exit(1);
+}
+
+const record = await loadReplay(filePath);
+const isRace = record.mode === 'race';
+console.log(`🔍 Verifying ${isRace ? 'race ' : ''}replay for room ${record.roomId}`);
+console.log(`   Seed: ${record.seed}, difficulty: ${record.difficulty}, actions: ${record.actions.length}`);
+
+// Chunks are rebuilt from the exact content version the game was played on
+console.log(`   Content: version ${record.content.version} (${record.content.hash})${record.levelPack ? `, level pack: ${record.levelPack}` : ''}`);
+try {
+  await loadContentSnapshot(record.content.hash);
+} catch (error) {
+  console.log(`❌ Content snapshot not available: ${error.message}`);
+  process.exit(1);
+}
+
+const result = replayGame(record.seed, record);
+
+if (!result.success) {
+  console.log(`❌ Replay failed: ${result.error}`);
+  process.exit(1);
+}
+
+if (isRace) {
+  console.log(`   Recorded: ${record.result.gameResult} for ${record.result.winner} (${record.result.endReason}), scores ${JSON.stringify(record.result.scores)}`);
+  console.log(`   Replayed: ${result.replayed.gameResult} for ${result.replayed.winner} (${result.replayed.endReason}), scores ${JSON.stringify(result.replayed.scores)}`);
+} else {
+  console.log(`   Recorded: ${record.result.gameResult} with score ${record.result.score}`);
+  console.log(`   Replayed: ${result.replayed.gameResult} with score ${result.replayed.score}`);
+}
+
+if (result.verified) {
+  console.log('✅ Replay reproduces the recorded result');
+} else {
+  console.log(`❌ Replay does not match the recorded result${result.divergedAt ? ` (diverged at action ${result.divergedAt})` : ''}`);
+  process.exit(1);
+}